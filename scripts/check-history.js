@@ -0,0 +1,57 @@
+// Checks that the undo history's byte budget counts shared data once.
+//
+//   npm run check:history
+//
+// Simulates a long run of brush strokes on a 1000 x 1000 photo: every edit
+// makes a new mask, while the source image and effects stay the same objects.
+// All 30 steps must stay undoable.
+import assert from 'node:assert/strict';
+import {
+  createHistory, pushHistory, undoHistory, redoHistory, canUndo,
+  MAX_HISTORY_ENTRIES, MAX_HISTORY_BYTES
+} from '../src/history.js';
+
+const WIDTH = 1000;
+const HEIGHT = 1000;
+
+// A data URL about the size of a compressed photo of that size
+const source = 'data:image/jpeg;base64,' + 'A'.repeat(1.5 * 1024 * 1024);
+const effects = { shadow: { color: '#000000', opacity: 0.5, blur: 10, angle: 45, distance: 7 } };
+
+const history = createHistory();
+let state = { source, mask: null, effects, hints: null };
+
+for (let step = 0; step < MAX_HISTORY_ENTRIES; step++) {
+  pushHistory(history, 'Brush stroke', state);
+  state = { ...state, mask: new Uint8ClampedArray(WIDTH * HEIGHT).fill(step) };
+}
+
+assert.equal(history.undoStack.length, MAX_HISTORY_ENTRIES, 'every mask edit is kept');
+assert.ok(history.bytes <= MAX_HISTORY_BYTES, 'the history fits its byte budget');
+
+// The source and effects are held by every entry but counted once
+const expectedBytes = source.length + effects.shadow.color.length + (MAX_HISTORY_ENTRIES - 1) * WIDTH * HEIGHT;
+assert.equal(history.bytes, expectedBytes, 'shared data is counted once');
+
+// Undoing everything and redoing it again keeps the count consistent
+let undone = 0;
+while (canUndo(history)) {
+  state = undoHistory(history, state).state;
+  undone++;
+}
+assert.equal(undone, MAX_HISTORY_ENTRIES, 'every step can be undone');
+assert.equal(state.mask, null, 'undoing everything restores the unedited state');
+
+while (history.redoStack.length > 0) {
+  state = redoHistory(history, state).state;
+}
+assert.equal(history.bytes, expectedBytes, 'undo and redo keep the byte count');
+
+// A new edit drops the redo entries and their data
+undoHistory(history, state);
+pushHistory(history, 'Brush stroke', state);
+assert.equal(history.redoStack.length, 0);
+assert.equal(history.data.size, new Set(history.undoStack.flatMap(entry => [...entry.data])).size,
+  'only data held by remaining entries is tracked');
+
+console.log(`History check passed: ${history.undoStack.length} entries, ${(history.bytes / 1024 / 1024).toFixed(1)} MB`);
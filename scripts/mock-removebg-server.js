@@ -0,0 +1,84 @@
+// Minimal remove.bg-compatible mock for trying the remote engine locally.
+//
+//   npm run mock:removebg            (listens on http://localhost:8787)
+//
+// Point the remote engine's endpoint at http://localhost:8787/v1.0/removebg.
+// A successful call echoes the uploaded image back as the result. These API
+// keys simulate the service's error responses instead:
+//
+//   invalid-key    403 authentication failed
+//   no-credits     402 insufficient credits
+//   rate-limited   429 rate limit exceeded
+//   no-foreground  400 unknown_foreground
+//   server-error   500 internal error
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+const ERROR_KEYS = {
+  'invalid-key': [403, { title: 'Authentication failed', code: 'auth_failed' }],
+  'no-credits': [402, { title: 'Insufficient credits', code: 'insufficient_credits' }],
+  'rate-limited': [429, { title: 'Rate limit exceeded', code: 'rate_limit_exceeded' }],
+  'no-foreground': [400, { title: 'Could not identify foreground in image', code: 'unknown_foreground' }],
+  'server-error': [500, { title: 'Internal server error', code: 'internal_error' }]
+};
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, X-Api-Key',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    send(res, 405, { errors: [{ title: 'Method not allowed' }] });
+    return;
+  }
+
+  let raw = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const apiKey = req.headers['x-api-key'];
+    console.log(`${new Date().toISOString()} POST ${req.url} key=${apiKey || '(none)'} ${raw.length} bytes`);
+
+    if (!apiKey) {
+      send(res, 403, { errors: [{ title: 'Missing API Key', code: 'auth_failed' }] });
+      return;
+    }
+
+    if (ERROR_KEYS[apiKey]) {
+      const [status, error] = ERROR_KEYS[apiKey];
+      send(res, status, { errors: [error] });
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      send(res, 400, { errors: [{ title: 'Invalid JSON body', code: 'invalid_request' }] });
+      return;
+    }
+
+    if (!body.image_file_b64) {
+      send(res, 400, { errors: [{ title: 'No image given', code: 'missing_source' }] });
+      return;
+    }
+
+    send(res, 200, { data: { result_b64: body.image_file_b64 } });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock remove.bg API listening on http://localhost:${PORT}/v1.0/removebg`);
+});
@@ -0,0 +1,170 @@
+// Colour spaces for segmentation
+//
+// The pipeline compares colours through a colour space: pixels are converted
+// once per run into a Float32Array with three channels per pixel, and pairs
+// are compared with the space's distance function. Distances are scaled to
+// roughly match Euclidean RGB, so the same thresholds work in every space.
+
+// sRGB channel value (0-255) to linear light
+const LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// D65 reference white
+const WHITE_X = 0.95047;
+const WHITE_Z = 1.08883;
+
+// Typical ratio of Euclidean RGB distance to each ΔE for the same colour pair
+const DE76_SCALE = 2.2;
+const DE2000_SCALE = 4.5;
+
+const rgbSpace = {
+  id: 'rgb',
+  label: 'RGB (Euclidean)',
+  convert: convertToRGB,
+  distance(a, i, b, j) {
+    const d0 = a[i] - b[j];
+    const d1 = a[i + 1] - b[j + 1];
+    const d2 = a[i + 2] - b[j + 2];
+    return Math.sqrt(d0 * d0 + d1 * d1 + d2 * d2);
+  }
+};
+
+const lab76Space = {
+  id: 'lab76',
+  label: 'CIELAB ΔE76',
+  convert: convertToLab,
+  distance(a, i, b, j) {
+    const dL = a[i] - b[j];
+    const da = a[i + 1] - b[j + 1];
+    const db = a[i + 2] - b[j + 2];
+    return Math.sqrt(dL * dL + da * da + db * db) * DE76_SCALE;
+  }
+};
+
+const lab2000Space = {
+  id: 'lab2000',
+  label: 'CIELAB ΔE2000',
+  convert: convertToLab,
+  distance(a, i, b, j) {
+    return deltaE2000(a[i], a[i + 1], a[i + 2], b[j], b[j + 1], b[j + 2]) * DE2000_SCALE;
+  }
+};
+
+const colorSpaces = {
+  [rgbSpace.id]: rgbSpace,
+  [lab76Space.id]: lab76Space,
+  [lab2000Space.id]: lab2000Space
+};
+
+// Look up a colour space by id, falling back to RGB
+export function getColorSpace(id) {
+  return colorSpaces[id] || rgbSpace;
+}
+
+// List the available colour spaces for the settings panel
+export function listColorSpaces() {
+  return Object.values(colorSpaces);
+}
+
+// Copy the RGB channels of RGBA pixel data
+function convertToRGB(data, pixelCount) {
+  const colors = new Float32Array(pixelCount * 3);
+  for (let i = 0; i < pixelCount; i++) {
+    colors[i * 3] = data[i * 4];
+    colors[i * 3 + 1] = data[i * 4 + 1];
+    colors[i * 3 + 2] = data[i * 4 + 2];
+  }
+  return colors;
+}
+
+// Convert RGBA pixel data (sRGB) to CIELAB L*, a*, b*
+function convertToLab(data, pixelCount) {
+  const colors = new Float32Array(pixelCount * 3);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = LINEAR[data[i * 4]];
+    const g = LINEAR[data[i * 4 + 1]];
+    const b = LINEAR[data[i * 4 + 2]];
+
+    const fx = labF((0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / WHITE_X);
+    const fy = labF(0.2126729 * r + 0.7151522 * g + 0.0721750 * b);
+    const fz = labF((0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / WHITE_Z);
+
+    colors[i * 3] = 116 * fy - 16;
+    colors[i * 3 + 1] = 500 * (fx - fy);
+    colors[i * 3 + 2] = 200 * (fy - fz);
+  }
+
+  return colors;
+}
+
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+// CIEDE2000 colour difference (Sharma, Wu and Dalal's formulation)
+function deltaE2000(L1, a1, b1, L2, a2, b2) {
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const meanC7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + 6103515625))); // 25^7
+
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(dhp / 2));
+
+  const meanLp = (L1 + L2) / 2;
+  const meanCp = (C1p + C2p) / 2;
+  let meanHp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) meanHp /= 2;
+    else meanHp = meanHp < 360 ? (meanHp + 360) / 2 : (meanHp - 360) / 2;
+  }
+
+  const T = 1 -
+    0.17 * Math.cos(toRadians(meanHp - 30)) +
+    0.24 * Math.cos(toRadians(2 * meanHp)) +
+    0.32 * Math.cos(toRadians(3 * meanHp + 6)) -
+    0.20 * Math.cos(toRadians(4 * meanHp - 63));
+
+  const dTheta = 30 * Math.exp(-Math.pow((meanHp - 275) / 25, 2));
+  const meanCp7 = Math.pow(meanCp, 7);
+  const RC = 2 * Math.sqrt(meanCp7 / (meanCp7 + 6103515625));
+  const lightness = (meanLp - 50) * (meanLp - 50);
+  const SL = 1 + 0.015 * lightness / Math.sqrt(20 + lightness);
+  const SC = 1 + 0.045 * meanCp;
+  const SH = 1 + 0.015 * meanCp * T;
+  const RT = -Math.sin(toRadians(2 * dTheta)) * RC;
+
+  const l = dLp / SL;
+  const c = dCp / SC;
+  const h = dHp / SH;
+  return Math.sqrt(l * l + c * c + h * h + RT * c * h);
+}
+
+// Hue angle in degrees (0-360)
+function hueAngle(b, a) {
+  if (a === 0 && b === 0) return 0;
+  const angle = Math.atan2(b, a) * 180 / Math.PI;
+  return angle < 0 ? angle + 360 : angle;
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
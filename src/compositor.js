@@ -0,0 +1,430 @@
+// Image compositing
+//
+// An image is kept as its untouched source pixels plus an alpha mask and a
+// set of effects. This module flattens those layers into a canvas at the
+// source resolution, for the preview, thumbnails and export.
+//
+// With a replacement background the canvas keeps the source's size: the
+// background fills it and the cut-out subject (with its shadow) is drawn on
+// top, offset and scaled about the centre by `background.subject`.
+import { decontaminateColors } from './decontaminate.js';
+import { featherMask, distanceFromMask } from './mask.js';
+
+// Largest disc radius the lens blur convolves with; bigger blurs run on a
+// downscaled copy
+const LENS_MAX_RADIUS = 4;
+
+// Blur levels blended between when the blur falls off with distance
+const FALLOFF_LEVELS = 3;
+
+// Create a canvas of the given size
+export function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// Flatten source pixels, mask and effects into a new canvas
+export function compositeImage(sourceData, mask, effects = {}) {
+  const layer = compositeSubject(sourceData, mask, effects);
+  if (!effects.background) return layer;
+
+  const output = renderBackground(sourceData.width, sourceData.height, effects.background);
+  drawSubject(output.getContext('2d'), layer, effects.background.subject);
+  return output;
+}
+
+// The subject layer: source pixels cut out by the mask (or over a blurred
+// background) with its drop shadow, but without a replacement background
+export function compositeSubject(sourceData, mask, effects = {}) {
+  const { width, height } = sourceData;
+  const pixels = new ImageData(new Uint8ClampedArray(sourceData.data), width, height);
+  const data = pixels.data;
+
+  if (effects.blur) {
+    // The background is shown blurred instead of being cut out. Without a
+    // mask of its own the image uses the subject found when the blur was
+    // added.
+    const subjectMask = mask || effects.blur.mask;
+    if (subjectMask) blurBackgroundPixels(pixels, sourceData, subjectMask, effects.blur);
+  } else if (mask) {
+    // Remove the old background's colour from semi-transparent edges
+    if (effects.decontaminate) {
+      decontaminateColors(pixels, mask, effects.decontaminate.strength);
+    }
+    
+    for (let i = 0; i < mask.length; i++) {
+      const idx = i * 4 + 3;
+      data[idx] = data[idx] * mask[i] / 255;
+    }
+  }
+
+  const layerCanvas = createCanvas(width, height);
+  layerCanvas.getContext('2d').putImageData(pixels, 0, 0);
+
+  if (!effects.shadow && !effects.contactShadow && !effects.reflection) return layerCanvas;
+
+  // Contact shadows and reflections sit on the ground line under the subject
+  const output = createCanvas(width, height);
+  const ctx = output.getContext('2d');
+  const bounds = mask ? findSubjectBounds(mask, width, height) : null;
+
+  if (effects.reflection && bounds) drawReflection(ctx, layerCanvas, bounds, effects.reflection);
+  if (effects.contactShadow && bounds) drawContactShadow(ctx, mask, bounds, effects.contactShadow);
+
+  // Draw the layer again with a drop shadow underneath. `angle` is the
+  // direction the shadow falls in, in degrees clockwise from the right.
+  if (effects.shadow) {
+    const { color, opacity, blur, angle, distance } = effects.shadow;
+    ctx.shadowColor = colorWithOpacity(color, opacity);
+    ctx.shadowBlur = blur;
+    ctx.shadowOffsetX = Math.cos(angle * Math.PI / 180) * distance;
+    ctx.shadowOffsetY = Math.sin(angle * Math.PI / 180) * distance;
+  }
+  ctx.drawImage(layerCanvas, 0, 0);
+
+  return output;
+}
+
+// Bounding box of the mostly opaque part of a mask, or null if it is empty
+function findSubjectBounds(mask, width, height) {
+  let left = width;
+  let right = -1;
+  let top = height;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x] < 128) continue;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+    }
+  }
+
+  return right < 0 ? null : { left, right, top, bottom };
+}
+
+// A soft shadow on the ground: the subject's silhouette flattened onto its
+// base line, with a darker, tighter core where it touches the ground.
+// `size` is the shadow's height as a percentage of the subject's.
+function drawContactShadow(ctx, mask, bounds, { color, opacity, blur, size }) {
+  const { width, height } = ctx.canvas;
+  const silhouette = createCanvas(width, height);
+  const silhouetteCtx = silhouette.getContext('2d');
+  const pixels = silhouetteCtx.createImageData(width, height);
+  const [r, g, b] = parseColor(color);
+
+  for (let i = 0; i < mask.length; i++) {
+    const idx = i * 4;
+    pixels.data[idx] = r;
+    pixels.data[idx + 1] = g;
+    pixels.data[idx + 2] = b;
+    pixels.data[idx + 3] = mask[i];
+  }
+  silhouetteCtx.putImageData(pixels, 0, 0);
+
+  const middle = (bounds.top + bounds.bottom) / 2;
+  const passes = [
+    { squash: size / 100, blur, alpha: opacity * 0.6 },
+    { squash: size / 400, blur: blur / 4, alpha: opacity }
+  ];
+
+  passes.forEach(pass => {
+    ctx.save();
+    ctx.globalAlpha = pass.alpha;
+    ctx.filter = `blur(${pass.blur}px)`;
+    ctx.translate(0, bounds.bottom);
+    ctx.scale(1, pass.squash);
+    ctx.translate(0, -middle);
+    ctx.drawImage(silhouette, 0, 0);
+    ctx.restore();
+  });
+}
+
+// The subject mirrored below its base line, `distance` pixels down, fading
+// out over `fade` percent of the subject's height
+function drawReflection(ctx, layer, bounds, { opacity, distance, fade }) {
+  const { width, height } = layer;
+  const reflection = createCanvas(width, height);
+  const reflectionCtx = reflection.getContext('2d');
+
+  // Mirror about the line halfway between the base and the reflection's top
+  reflectionCtx.translate(0, 2 * bounds.bottom + distance);
+  reflectionCtx.scale(1, -1);
+  reflectionCtx.drawImage(layer, 0, 0);
+  reflectionCtx.setTransform(1, 0, 0, 1, 0, 0);
+
+  const start = bounds.bottom + distance;
+  const length = Math.max(1, (bounds.bottom - bounds.top) * fade / 100);
+  const gradient = reflectionCtx.createLinearGradient(0, start, 0, start + length);
+  gradient.addColorStop(0, `rgba(0, 0, 0, ${opacity})`);
+  gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+  reflectionCtx.globalCompositeOperation = 'destination-in';
+  reflectionCtx.fillStyle = gradient;
+  reflectionCtx.fillRect(0, 0, width, height);
+
+  ctx.drawImage(reflection, 0, 0);
+}
+
+// '#rrggbb' to [r, g, b]
+function parseColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function colorWithOpacity(hex, opacity) {
+  const [r, g, b] = parseColor(hex);
+  return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+}
+
+// Paint a replacement background onto a new canvas. Backgrounds are
+// { type: 'color', color }, { type: 'gradient', gradientType: 'linear' or
+// 'radial', color, color2, angle } or { type: 'image', image, fit: 'fill' or
+// 'fit', color }; a fitted image is letterboxed with `color`.
+export function renderBackground(width, height, background) {
+  const output = createCanvas(width, height);
+  const ctx = output.getContext('2d');
+
+  if (background.type === 'gradient') {
+    let gradient;
+    if (background.gradientType === 'radial') {
+      gradient = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+    } else {
+      // Run the gradient through the centre, long enough to cover the corners
+      const angle = background.angle * Math.PI / 180;
+      const dx = Math.cos(angle);
+      const dy = Math.sin(angle);
+      const reach = (Math.abs(dx) * width + Math.abs(dy) * height) / 2;
+      gradient = ctx.createLinearGradient(
+        width / 2 - dx * reach, height / 2 - dy * reach,
+        width / 2 + dx * reach, height / 2 + dy * reach
+      );
+    }
+    gradient.addColorStop(0, background.color);
+    gradient.addColorStop(1, background.color2);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  } else {
+    ctx.fillStyle = background.color;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  if (background.type === 'image' && background.image) {
+    const { image } = background;
+    const imageWidth = image.naturalWidth || image.width;
+    const imageHeight = image.naturalHeight || image.height;
+    const scaleX = width / imageWidth;
+    const scaleY = height / imageHeight;
+    const scale = background.fit === 'fit' ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
+    const drawWidth = imageWidth * scale;
+    const drawHeight = imageHeight * scale;
+    ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  }
+
+  return output;
+}
+
+// Draw the subject layer offset by (x, y) and scaled about the centre
+export function drawSubject(ctx, layer, { x = 0, y = 0, scale = 1 } = {}) {
+  ctx.save();
+  ctx.translate(layer.width / 2 + x, layer.height / 2 + y);
+  ctx.scale(scale, scale);
+  ctx.drawImage(layer, -layer.width / 2, -layer.height / 2);
+  ctx.restore();
+}
+
+// Prepare a rendered image for viewing in the editor. Transparent areas are
+// shown over a checkerboard ('checkerboard') or a solid colour ('solid');
+// 'mask' shows the mask itself in black and white and 'quickmask' tints the
+// removed areas of the source red. Views only affect the preview, never the
+// exported pixels.
+export function compositeView(rendered, sourceData, mask, { mode, color = '#ffffff', cellSize = 8 }) {
+  const { width, height } = sourceData;
+  const output = createCanvas(width, height);
+  const ctx = output.getContext('2d');
+
+  if (mode === 'mask' || mode === 'quickmask') {
+    const pixels = mode === 'mask'
+      ? ctx.createImageData(width, height)
+      : new ImageData(new Uint8ClampedArray(sourceData.data), width, height);
+    const data = pixels.data;
+
+    for (let i = 0; i < width * height; i++) {
+      const idx = i * 4;
+      const value = mask ? mask[i] : 255;
+
+      if (mode === 'mask') {
+        data[idx] = value;
+        data[idx + 1] = value;
+        data[idx + 2] = value;
+        data[idx + 3] = 255;
+      } else {
+        const tint = (255 - value) / 255 * 0.6;
+        data[idx] += (255 - data[idx]) * tint;
+        data[idx + 1] *= 1 - tint;
+        data[idx + 2] *= 1 - tint;
+      }
+    }
+
+    ctx.putImageData(pixels, 0, 0);
+    return output;
+  }
+
+  if (mode === 'solid') {
+    ctx.fillStyle = color;
+  } else {
+    ctx.fillStyle = ctx.createPattern(createCheckerboard(cellSize), 'repeat');
+  }
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(rendered, 0, 0);
+
+  return output;
+}
+
+// One repeat of a light grey checkerboard
+function createCheckerboard(cellSize) {
+  const tile = createCanvas(cellSize * 2, cellSize * 2);
+  const ctx = tile.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, cellSize * 2, cellSize * 2);
+  ctx.fillStyle = '#cccccc';
+  ctx.fillRect(0, 0, cellSize, cellSize);
+  ctx.fillRect(cellSize, cellSize, cellSize, cellSize);
+  return tile;
+}
+
+// Blur everything but the subject, in place. The subject is made transparent
+// before blurring so its colours don't bleed into the background. With a
+// falloff the blur grows from none at the subject's edge to `radius` at
+// `falloff` pixels away, blending between a few blur levels.
+function blurBackgroundPixels(pixels, sourceData, mask, { radius, kernel = 'gaussian', feather = 0, falloff = 0 }) {
+  const { width, height, data } = pixels;
+  const subject = feather > 0 ? featherMask(mask, width, height, feather) : mask;
+
+  const background = new ImageData(new Uint8ClampedArray(sourceData.data), width, height);
+  for (let i = 0; i < mask.length; i++) {
+    background.data[i * 4 + 3] = 255 - mask[i];
+  }
+
+  const steps = falloff > 0 ? FALLOFF_LEVELS : 1;
+  const levels = [sourceData.data];
+  for (let k = 1; k <= steps; k++) {
+    const levelRadius = radius * k / steps;
+    levels.push((kernel === 'lens' ? lensBlurImageData(background, levelRadius) : blurImageData(background, levelRadius)).data);
+  }
+  const distance = falloff > 0 ? distanceFromMask(mask, width, height) : null;
+
+  for (let i = 0; i < subject.length; i++) {
+    const weight = subject[i] / 255;
+    if (weight === 1) continue;
+
+    const position = (distance ? Math.min(1, distance[i] / falloff) : 1) * steps;
+    const lower = Math.floor(position);
+    const upper = Math.min(steps, lower + 1);
+    const fraction = position - lower;
+    const idx = i * 4;
+
+    for (let c = 0; c < 3; c++) {
+      const blurred = levels[lower][idx + c] * (1 - fraction) + levels[upper][idx + c] * fraction;
+      data[idx + c] = data[idx + c] * weight + blurred * (1 - weight);
+    }
+  }
+}
+
+// Lens ("bokeh") blur: an average over a disc rather than a Gaussian, with
+// bright pixels weighted up so highlights spread into discs. Alpha weights
+// each pixel's contribution, and the result is opaque wherever any weight
+// reached it. Large radii run on a downscaled copy.
+function lensBlurImageData(imageData, radius) {
+  const { width, height } = imageData;
+  const scale = Math.min(1, LENS_MAX_RADIUS / radius);
+  const smallWidth = Math.max(1, Math.round(width * scale));
+  const smallHeight = Math.max(1, Math.round(height * scale));
+  const discRadius = radius * scale;
+
+  const source = createCanvas(width, height);
+  source.getContext('2d').putImageData(imageData, 0, 0);
+  const small = createCanvas(smallWidth, smallHeight);
+  const smallCtx = small.getContext('2d');
+  smallCtx.drawImage(source, 0, 0, smallWidth, smallHeight);
+  const input = smallCtx.getImageData(0, 0, smallWidth, smallHeight).data;
+
+  // Pixel weights: alpha, boosted for highlights
+  const weights = new Float32Array(smallWidth * smallHeight);
+  for (let i = 0; i < weights.length; i++) {
+    const idx = i * 4;
+    const luminance = (0.299 * input[idx] + 0.587 * input[idx + 1] + 0.114 * input[idx + 2]) / 255;
+    weights[i] = input[idx + 3] / 255 * (1 + 4 * Math.pow(luminance, 4));
+  }
+
+  const offsets = [];
+  const reach = Math.ceil(discRadius);
+  for (let dy = -reach; dy <= reach; dy++) {
+    for (let dx = -reach; dx <= reach; dx++) {
+      if (dx * dx + dy * dy <= discRadius * discRadius) offsets.push([dx, dy]);
+    }
+  }
+
+  const output = smallCtx.createImageData(smallWidth, smallHeight);
+  for (let y = 0; y < smallHeight; y++) {
+    for (let x = 0; x < smallWidth; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let total = 0;
+
+      for (const [dx, dy] of offsets) {
+        const nx = Math.min(smallWidth - 1, Math.max(0, x + dx));
+        const ny = Math.min(smallHeight - 1, Math.max(0, y + dy));
+        const ni = ny * smallWidth + nx;
+        const weight = weights[ni];
+        r += input[ni * 4] * weight;
+        g += input[ni * 4 + 1] * weight;
+        b += input[ni * 4 + 2] * weight;
+        total += weight;
+      }
+
+      if (total > 0) {
+        const idx = (y * smallWidth + x) * 4;
+        output.data[idx] = r / total;
+        output.data[idx + 1] = g / total;
+        output.data[idx + 2] = b / total;
+        output.data[idx + 3] = 255;
+      }
+    }
+  }
+  smallCtx.putImageData(output, 0, 0);
+
+  const target = createCanvas(width, height);
+  const ctx = target.getContext('2d');
+  ctx.drawImage(small, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height);
+}
+
+// Gaussian-blur image data with the browser's canvas filter
+export function blurImageData(imageData, radius) {
+  const source = createCanvas(imageData.width, imageData.height);
+  source.getContext('2d').putImageData(imageData, 0, 0);
+
+  const target = createCanvas(imageData.width, imageData.height);
+  const ctx = target.getContext('2d');
+  ctx.filter = `blur(${radius}px)`;
+  ctx.drawImage(source, 0, 0);
+
+  return ctx.getImageData(0, 0, imageData.width, imageData.height);
+}
+
+// Downscale a canvas to fit within `maxSize` and encode it as a PNG data URL
+export function createThumbnailURL(sourceCanvas, maxSize = 200) {
+  const scale = Math.min(1, maxSize / Math.max(sourceCanvas.width, sourceCanvas.height));
+  const thumbCanvas = createCanvas(
+    Math.max(1, Math.round(sourceCanvas.width * scale)),
+    Math.max(1, Math.round(sourceCanvas.height * scale))
+  );
+  thumbCanvas.getContext('2d').drawImage(sourceCanvas, 0, 0, thumbCanvas.width, thumbCanvas.height);
+  return thumbCanvas.toDataURL('image/png');
+}
@@ -0,0 +1,111 @@
+// Colour decontamination ("defringe")
+//
+// Partially transparent edge pixels are a blend of the subject and whatever
+// was behind it, so a cut-out keeps a fringe of the old background's colour.
+// For each such pixel the local background colour is estimated from nearby
+// transparent pixels and the blend is undone:
+//
+//   C = alpha * F + (1 - alpha) * B   =>   F = (C - (1 - alpha) * B) / alpha
+//
+// The division amplifies noise where alpha is small, so the unmixed colour
+// is blended towards the average nearby subject colour as alpha drops.
+
+// Replace edge colours in `pixels` (RGBA ImageData, modified in place) with
+// their estimated foreground colours. `strength` (0-1) blends between the
+// original and the decontaminated colour.
+export function decontaminateColors(pixels, mask, strength) {
+  const { width, height, data } = pixels;
+  const totalPixels = width * height;
+  if (strength <= 0 || !hasPartialAlpha(mask)) return;
+
+  const radius = Math.max(4, Math.round(Math.min(width, height) / 100));
+
+  // Colour sums weighted heavily towards pure background and pure foreground
+  // pixels, averaged over a neighbourhood by box blurring sums and weights
+  const bgSums = new Float32Array(totalPixels * 4);
+  const fgSums = new Float32Array(totalPixels * 4);
+
+  for (let i = 0; i < totalPixels; i++) {
+    const a = mask[i] / 255;
+    const bgWeight = Math.pow(1 - a, 8);
+    const fgWeight = Math.pow(a, 8);
+    const idx = i * 4;
+
+    for (let c = 0; c < 3; c++) {
+      bgSums[idx + c] = data[idx + c] * bgWeight;
+      fgSums[idx + c] = data[idx + c] * fgWeight;
+    }
+    bgSums[idx + 3] = bgWeight;
+    fgSums[idx + 3] = fgWeight;
+  }
+
+  boxBlur(bgSums, width, height, radius);
+  boxBlur(fgSums, width, height, radius);
+
+  for (let i = 0; i < totalPixels; i++) {
+    const value = mask[i];
+    if (value === 0 || value === 255) continue;
+
+    const idx = i * 4;
+    const bgWeight = bgSums[idx + 3];
+    if (bgWeight <= 0) continue;
+
+    const a = value / 255;
+    const fgWeight = fgSums[idx + 3];
+
+    for (let c = 0; c < 3; c++) {
+      const background = bgSums[idx + c] / bgWeight;
+      const unmixed = Math.min(255, Math.max(0, (data[idx + c] - (1 - a) * background) / a));
+      const foreground = fgWeight > 0 ? a * unmixed + (1 - a) * fgSums[idx + c] / fgWeight : unmixed;
+
+      data[idx + c] += (foreground - data[idx + c]) * strength;
+    }
+  }
+}
+
+function hasPartialAlpha(mask) {
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] !== 0 && mask[i] !== 255) return true;
+  }
+  return false;
+}
+
+// Separable box blur of a four-channel float buffer, in place
+function boxBlur(buffer, width, height, radius) {
+  const temp = new Float32Array(buffer.length);
+  blurPass(buffer, temp, width, height, radius, width, 1); // Horizontal
+  blurPass(temp, buffer, height, width, radius, 1, width); // Vertical
+}
+
+// Blur `length`-long lines with pixel stride `step`; lines start `lineStep`
+// pixels apart
+function blurPass(source, target, length, lineCount, radius, lineStep, step) {
+  const sums = new Float64Array(4);
+
+  for (let line = 0; line < lineCount; line++) {
+    const start = line * lineStep;
+    sums.fill(0);
+
+    for (let k = 0; k < Math.min(radius, length); k++) {
+      const idx = (start + k * step) * 4;
+      for (let c = 0; c < 4; c++) sums[c] += source[idx + c];
+    }
+
+    for (let k = 0; k < length; k++) {
+      const add = k + radius;
+      const remove = k - radius - 1;
+
+      if (add < length) {
+        const idx = (start + add * step) * 4;
+        for (let c = 0; c < 4; c++) sums[c] += source[idx + c];
+      }
+      if (remove >= 0) {
+        const idx = (start + remove * step) * 4;
+        for (let c = 0; c < 4; c++) sums[c] -= source[idx + c];
+      }
+
+      const idx = (start + k * step) * 4;
+      for (let c = 0; c < 4; c++) target[idx + c] = sums[c];
+    }
+  }
+}
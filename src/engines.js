@@ -0,0 +1,237 @@
+// Background-removal engines
+//
+// An engine turns an image's source pixels into an alpha mask:
+//
+//   {
+//     id, label,
+//     segment(imageData, { settings, hints, onProgress, signal }) -> Promise<Uint8ClampedArray>
+//   }
+//
+// The mask has one 0-255 value per pixel at the source resolution. Engines
+// that can use keep/discard hints as seeds do so; the caller enforces the
+// hints on the result either way.
+import { segmentImage } from './segmentationClient.js';
+import { createWorkerClient, cloneImageData } from './workerClient.js';
+import { createCanvas } from './compositor.js';
+
+// Preprocessing for the supported ONNX model families. Models are not
+// bundled; the file is loaded from the URL set in Settings.
+export const ONNX_MODELS = {
+  u2netp: {
+    label: 'U²-Netp (small, 320px)',
+    inputSize: 320,
+    mean: [0.485, 0.456, 0.406],
+    std: [0.229, 0.224, 0.225],
+    normalizeOutput: true
+  },
+  u2net: {
+    label: 'U²-Net (full, 320px)',
+    inputSize: 320,
+    mean: [0.485, 0.456, 0.406],
+    std: [0.229, 0.224, 0.225],
+    normalizeOutput: true
+  },
+  modnet: {
+    label: 'MODNet (portrait matting, 512px)',
+    inputSize: 512,
+    mean: [0.5, 0.5, 0.5],
+    std: [0.5, 0.5, 0.5],
+    normalizeOutput: false
+  }
+};
+
+const onnxClient = createWorkerClient(() => {
+  return new Worker(new URL('./onnxWorker.js', import.meta.url), { type: 'module' });
+});
+
+// Error raised by an engine, with a message suitable for showing to the user
+export class EngineError extends Error {
+  constructor(message, { status = 0, code = '' } = {}) {
+    super(message);
+    this.name = 'EngineError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Hand-written segmentation pipeline, run in a worker
+const localEngine = {
+  id: 'local',
+  label: 'Local (in browser)',
+  segment(imageData, { settings, hints, onProgress, signal } = {}) {
+    return segmentImage(imageData, {
+      hints,
+      params: settings.removal,
+      colorSpace: settings.colorSpace,
+      onProgress,
+      signal
+    });
+  }
+};
+
+// Remote HTTP provider speaking the remove.bg API: a JSON POST with the
+// image as base64, answered with the cut-out PNG as base64. The endpoint is
+// configurable so any compatible service (or a local mock) can be used.
+const remoteEngine = {
+  id: 'remote',
+  label: 'Remote API (remove.bg compatible)',
+  segment(imageData, { settings, onProgress = () => {}, signal } = {}) {
+    const { endpoint, apiKey } = settings.remote;
+
+    if (!endpoint) {
+      return Promise.reject(new EngineError('Set a remote API endpoint in Settings.', { code: 'missing_endpoint' }));
+    }
+    if (!apiKey) {
+      return Promise.reject(new EngineError('Enter a remote API key in Settings.', { code: 'missing_api_key' }));
+    }
+
+    onProgress('Uploading image', 0);
+
+    return encodeImageData(imageData)
+      .then(base64 => fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'X-Api-Key': apiKey,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+          image_file_b64: base64,
+          size: 'auto',
+          format: 'png'
+        }),
+        signal
+      }).catch(error => {
+        if (error.name === 'AbortError') throw error;
+        throw new EngineError('Could not reach the removal service. Check the endpoint and your connection.', {
+          code: 'network_error'
+        });
+      }))
+      .then(response => {
+        onProgress('Waiting for result', 0.5);
+        return response.json()
+          .catch(() => null)
+          .then(body => {
+            if (!response.ok) throw mapRemoteError(response.status, body);
+
+            const result = body && body.data && body.data.result_b64;
+            if (!result) {
+              throw new EngineError('The removal service returned an unexpected response.', {
+                status: response.status,
+                code: 'bad_response'
+              });
+            }
+            return result;
+          });
+      })
+      .then(result => {
+        onProgress('Decoding result', 0.9);
+        return decodeAlpha(result, imageData.width, imageData.height);
+      });
+  }
+};
+
+// Salient-object / matting model run on the CPU through onnxruntime-web,
+// fully offline once the model file is available
+const onnxEngine = {
+  id: 'onnx',
+  label: 'On-device ML model (ONNX)',
+  segment(imageData, { settings, onProgress, signal } = {}) {
+    const { model: modelId, modelUrl } = settings.onnx;
+    const model = ONNX_MODELS[modelId];
+
+    if (!model || !modelUrl) {
+      return Promise.reject(new EngineError('Choose an ONNX model and its file URL in Settings.', {
+        code: 'missing_model'
+      }));
+    }
+
+    const jobData = cloneImageData(imageData);
+    return onnxClient.run(
+      { imageData: jobData, model: { ...model, url: modelUrl } },
+      [jobData.data.buffer],
+      { onProgress, signal }
+    )
+      .then(reply => reply.mask)
+      .catch(error => {
+        if (error.name === 'AbortError') throw error;
+        console.error('ONNX model error:', error);
+        throw new EngineError(`The ML model could not run (${error.message}). Check the model file in Settings.`, {
+          code: 'model_error'
+        });
+      });
+  }
+};
+
+const engines = {
+  [localEngine.id]: localEngine,
+  [onnxEngine.id]: onnxEngine,
+  [remoteEngine.id]: remoteEngine
+};
+
+// Look up an engine by id, falling back to the local engine
+export function getEngine(id) {
+  return engines[id] || localEngine;
+}
+
+// List the available engines for the settings panel
+export function listEngines() {
+  return Object.values(engines);
+}
+
+// Turn an HTTP error from a remove.bg-compatible API into a user-facing error
+function mapRemoteError(status, body) {
+  const firstError = body && Array.isArray(body.errors) ? body.errors[0] : null;
+  const code = (firstError && firstError.code) || '';
+  const title = firstError && firstError.title;
+
+  let message;
+  if (status === 400 && code === 'unknown_foreground') {
+    message = 'The removal service could not find a foreground in this image.';
+  } else if (status === 400) {
+    message = `The removal service rejected the image${title ? `: ${title}` : '.'}`;
+  } else if (status === 401 || status === 403) {
+    message = 'The removal service rejected the API key.';
+  } else if (status === 402) {
+    message = 'The removal service account has run out of credits.';
+  } else if (status === 429) {
+    message = 'Too many requests to the removal service. Try again shortly.';
+  } else if (status >= 500) {
+    message = 'The removal service is currently unavailable.';
+  } else {
+    message = `The removal service returned an error (${status})${title ? `: ${title}` : '.'}`;
+  }
+
+  return new EngineError(message, { status, code });
+}
+
+// Encode image data as a base64 PNG (without the data URL prefix)
+function encodeImageData(imageData) {
+  const canvas = createCanvas(imageData.width, imageData.height);
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return Promise.resolve(canvas.toDataURL('image/png').split(',')[1]);
+}
+
+// Read the alpha channel of a base64 PNG, scaled to the source size.
+// Providers may return a smaller result than the image they were sent.
+function decodeAlpha(base64, width, height) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = createCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, width, height);
+
+      const data = ctx.getImageData(0, 0, width, height).data;
+      const mask = new Uint8ClampedArray(width * height);
+      for (let i = 0; i < mask.length; i++) {
+        mask[i] = data[i * 4 + 3];
+      }
+      resolve(mask);
+    };
+    img.onerror = () => reject(new EngineError('The removal service returned an unreadable image.', {
+      code: 'bad_image'
+    }));
+    img.src = `data:image/png;base64,${base64}`;
+  });
+}
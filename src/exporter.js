@@ -0,0 +1,172 @@
+// Export sizing and encoding
+//
+// Fits a flattened image canvas to the chosen output size and turns it into a
+// file in the chosen format. Formats without alpha (JPEG) are flattened onto
+// a matte colour first.
+import { createCanvas } from './compositor.js';
+
+export const EXPORT_FORMATS = {
+  png: { label: 'PNG', mimeType: 'image/png', extension: 'png', alpha: true, lossy: false },
+  'webp-lossless': { label: 'WebP (lossless)', mimeType: 'image/webp', extension: 'webp', alpha: true, lossy: false },
+  webp: { label: 'WebP (lossy)', mimeType: 'image/webp', extension: 'webp', alpha: true, lossy: true },
+  jpeg: { label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', alpha: false, lossy: true },
+  avif: { label: 'AVIF', mimeType: 'image/avif', extension: 'avif', alpha: true, lossy: true }
+};
+
+// Output sizes. 'trim' crops to the subject; fixed sizes place the subject
+// on a canvas of that size.
+export const SIZE_PRESETS = {
+  original: { label: 'Original size' },
+  trim: { label: 'Trim to subject' },
+  '1000x1000': { label: '1000 × 1000', width: 1000, height: 1000 },
+  '1080x1350': { label: '1080 × 1350', width: 1080, height: 1350 },
+  '2000x2000': { label: '2000 × 2000', width: 2000, height: 2000 },
+  custom: { label: 'Custom' }
+};
+
+// Browsers that can't encode a type silently fall back to PNG, so ask once
+// per type and remember the answer
+const support = {};
+
+export function isFormatSupported(id) {
+  const { mimeType } = EXPORT_FORMATS[id];
+  if (!(mimeType in support)) {
+    const probe = createCanvas(1, 1);
+    support[mimeType] = probe.toDataURL(mimeType).startsWith(`data:${mimeType}`);
+  }
+  return support[mimeType];
+}
+
+// Encode a canvas. Options:
+//   format - a key of EXPORT_FORMATS
+//   quality - 0-100, for lossy formats
+//   matte - '#rrggbb' background for formats without alpha
+export function encodeImage(canvas, { format = 'png', quality = 90, matte = '#ffffff' } = {}) {
+  const type = EXPORT_FORMATS[format] || EXPORT_FORMATS.png;
+  let source = canvas;
+
+  if (!type.alpha) {
+    source = createCanvas(canvas.width, canvas.height);
+    const ctx = source.getContext('2d');
+    ctx.fillStyle = matte;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(canvas, 0, 0);
+  }
+
+  // WebP at quality 1 is encoded losslessly
+  const encoderQuality = type.lossy ? quality / 100 : 1;
+
+  return new Promise((resolve, reject) => {
+    source.toBlob(blob => {
+      if (blob) resolve(blob);
+      else reject(new Error('Failed to encode image'));
+    }, type.mimeType, encoderQuality);
+  });
+}
+
+// Apply the size options to a rendered image. Options:
+//   size - a key of SIZE_PRESETS; 'custom' uses `width` and `height`
+//   margin - padding around the subject, in percent of the output size (or
+//            of the subject's size when trimming)
+//   align - 'center', 'top' or 'bottom': where the subject sits vertically
+//   maxFill - largest share of the output's width or height, in percent, the
+//             subject may take up
+export function resizeForExport(canvas, { size = 'original', width, height, margin = 0, align = 'center', maxFill = 100 } = {}) {
+  if (size === 'original') return canvas;
+
+  const bounds = findAlphaBounds(canvas);
+  if (!bounds) return canvas;
+
+  if (size === 'trim') {
+    const padX = Math.round(bounds.width * margin / 100);
+    const padY = Math.round(bounds.height * margin / 100);
+    const output = createCanvas(bounds.width + padX * 2, bounds.height + padY * 2);
+    output.getContext('2d').drawImage(canvas, padX - bounds.left, padY - bounds.top);
+    return output;
+  }
+
+  const preset = SIZE_PRESETS[size];
+  const targetWidth = Math.max(1, Math.round(preset.width || width));
+  const targetHeight = Math.max(1, Math.round(preset.height || height));
+  const marginX = targetWidth * margin / 100;
+  const marginY = targetHeight * margin / 100;
+
+  // Largest scale that respects both the margin and the fill limit
+  const scale = Math.min(
+    (targetWidth - marginX * 2) / bounds.width,
+    (targetHeight - marginY * 2) / bounds.height,
+    targetWidth * maxFill / 100 / bounds.width,
+    targetHeight * maxFill / 100 / bounds.height
+  );
+  const drawWidth = bounds.width * scale;
+  const drawHeight = bounds.height * scale;
+
+  const x = (targetWidth - drawWidth) / 2;
+  let y = (targetHeight - drawHeight) / 2;
+  if (align === 'top') y = marginY;
+  else if (align === 'bottom') y = targetHeight - marginY - drawHeight;
+
+  const output = createCanvas(targetWidth, targetHeight);
+  const ctx = output.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(canvas, bounds.left, bounds.top, bounds.width, bounds.height, x, y, drawWidth, drawHeight);
+  return output;
+}
+
+// Bounding box of the pixels that aren't fully transparent, or null if there
+// are none
+export function findAlphaBounds(canvas) {
+  const { width, height } = canvas;
+  const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  let left = width;
+  let right = -1;
+  let top = height;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      bottom = y;
+    }
+  }
+
+  return right < 0 ? null : { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+// A filename without its extension, e.g. photo.jpg -> photo
+export function stripExtension(filename) {
+  const dot = filename.lastIndexOf('.');
+  return dot > 0 ? filename.slice(0, dot) : filename;
+}
+
+// Fill a naming template such as '{date}/{name}_{index}'. Tokens without a
+// value are left as they are.
+export function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (token, key) => (key in values ? String(values[key]) : token));
+}
+
+// Make a filled template safe as a path inside a ZIP: characters file
+// systems reject become '_', and empty, '.' and '..' segments are dropped
+export function sanitizePath(path) {
+  return path
+    .split('/')
+    .map(part => part.replace(/[\\:*?"<>|\x00-\x1f]/g, '_').trim())
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/');
+}
+
+// Local date as YYYY-MM-DD
+export function formatDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Human-readable file size
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
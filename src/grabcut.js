@@ -0,0 +1,454 @@
+// GrabCut segmentation
+//
+// Rother, Kolmogorov and Blake, "GrabCut: Interactive Foreground Extraction
+// using Iterated Graph Cuts" (2004). Everything outside the user's box is
+// background; inside it, foreground and background colour models (Gaussian
+// mixtures) are fitted and the labelling is found by a min-cut over the pixel
+// graph, repeated for a number of iterations.
+//
+// The cut runs on a downscaled copy of the image to keep the graph small. The
+// resulting mask is scaled back up with bilinear filtering, which also gives
+// the edges a little softness.
+import { createGraph, addEdge, addTerminalWeights, computeMaxFlow, isSourceSide } from './maxflow.js';
+import { HINT_KEEP, HINT_DISCARD, applyHintsToAlpha } from './segmentation.js';
+
+const WORK_SIZE = 400; // Longest side of the image the graph is built on
+const COMPONENTS = 5; // Gaussians per colour model
+const GAMMA = 50; // Weight of the smoothness term
+const FIXED_WEIGHT = 9 * GAMMA; // Large enough that fixed pixels never flip
+
+// Labels of the working trimap
+const FIXED_BG = 0;
+const FIXED_FG = 1;
+const PROBABLE_BG = 2;
+const PROBABLE_FG = 3;
+
+// Segment the subject inside `rect` ({ x, y, width, height } in image pixels).
+// Options:
+//   hints - optional keep/discard hint map; hinted pixels are fixed
+//   iterations - number of model-fit / graph-cut rounds
+//   onProgress(stage, fraction) - called as the pipeline advances
+// Returns an alpha mask at the image's resolution.
+export function grabCut(imageData, { rect, hints = null, iterations = 5, onProgress = () => {} } = {}) {
+  const { width, height } = imageData;
+  const scale = Math.min(1, WORK_SIZE / Math.max(width, height));
+  const workWidth = Math.max(1, Math.round(width * scale));
+  const workHeight = Math.max(1, Math.round(height * scale));
+
+  onProgress('Preparing', 0);
+  const pixels = downscalePixels(imageData.data, width, height, workWidth, workHeight);
+  const labels = createTrimap(rect, hints, width, height, workWidth, workHeight, scale);
+
+  const fgModel = createModel();
+  const bgModel = createModel();
+  const components = new Uint8Array(workWidth * workHeight);
+  const beta = computeBeta(pixels, workWidth, workHeight);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const progress = iteration / iterations;
+    onProgress(`Fitting colour models (iteration ${iteration + 1} of ${iterations})`, 0.05 + progress * 0.85);
+
+    if (iteration === 0) {
+      initModels(fgModel, bgModel, pixels, labels);
+    } else {
+      assignComponents(fgModel, bgModel, pixels, labels, components);
+      learnModels(fgModel, bgModel, pixels, labels, components);
+    }
+
+    onProgress(`Cutting graph (iteration ${iteration + 1} of ${iterations})`, 0.05 + (progress + 0.5 / iterations) * 0.85);
+    if (!cutGraph(fgModel, bgModel, pixels, labels, workWidth, workHeight, beta)) break;
+  }
+
+  onProgress('Scaling mask', 0.9);
+  const alpha = upscaleLabels(labels, workWidth, workHeight, width, height);
+
+  // Enforce the box and hints at full resolution
+  const left = Math.max(0, Math.floor(rect.x));
+  const top = Math.max(0, Math.floor(rect.y));
+  const right = Math.min(width, Math.ceil(rect.x + rect.width));
+  const bottom = Math.min(height, Math.ceil(rect.y + rect.height));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x < left || x >= right || y < top || y >= bottom) alpha[y * width + x] = 0;
+    }
+  }
+  if (hints) applyHintsToAlpha(alpha, hints);
+
+  onProgress('Done', 1);
+  return alpha;
+}
+
+// Box-filter the RGB channels down to the working size (as floats)
+function downscalePixels(data, width, height, workWidth, workHeight) {
+  const pixels = new Float32Array(workWidth * workHeight * 3);
+
+  for (let wy = 0; wy < workHeight; wy++) {
+    const y0 = Math.floor(wy * height / workHeight);
+    const y1 = Math.max(y0 + 1, Math.floor((wy + 1) * height / workHeight));
+
+    for (let wx = 0; wx < workWidth; wx++) {
+      const x0 = Math.floor(wx * width / workWidth);
+      const x1 = Math.max(x0 + 1, Math.floor((wx + 1) * width / workWidth));
+      let r = 0, g = 0, b = 0, count = 0;
+
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const idx = (y * width + x) * 4;
+          r += data[idx];
+          g += data[idx + 1];
+          b += data[idx + 2];
+          count++;
+        }
+      }
+
+      const out = (wy * workWidth + wx) * 3;
+      pixels[out] = r / count;
+      pixels[out + 1] = g / count;
+      pixels[out + 2] = b / count;
+    }
+  }
+
+  return pixels;
+}
+
+// Label working pixels from the box and the (full resolution) hints
+function createTrimap(rect, hints, width, height, workWidth, workHeight, scale) {
+  const labels = new Uint8Array(workWidth * workHeight);
+  const left = rect.x * scale;
+  const top = rect.y * scale;
+  const right = (rect.x + rect.width) * scale;
+  const bottom = (rect.y + rect.height) * scale;
+
+  for (let wy = 0; wy < workHeight; wy++) {
+    for (let wx = 0; wx < workWidth; wx++) {
+      const cx = wx + 0.5;
+      const cy = wy + 0.5;
+      labels[wy * workWidth + wx] = cx >= left && cx < right && cy >= top && cy < bottom ? PROBABLE_FG : FIXED_BG;
+    }
+  }
+
+  if (hints) {
+    for (let y = 0; y < height; y++) {
+      const wy = Math.min(workHeight - 1, Math.floor(y * scale));
+      for (let x = 0; x < width; x++) {
+        const hint = hints[y * width + x];
+        if (hint === HINT_KEEP) {
+          labels[wy * workWidth + Math.min(workWidth - 1, Math.floor(x * scale))] = FIXED_FG;
+        } else if (hint === HINT_DISCARD) {
+          labels[wy * workWidth + Math.min(workWidth - 1, Math.floor(x * scale))] = FIXED_BG;
+        }
+      }
+    }
+  }
+
+  return labels;
+}
+
+function isForeground(label) {
+  return label === FIXED_FG || label === PROBABLE_FG;
+}
+
+// Contrast term: beta = 1 / (2 * mean squared colour difference of neighbours)
+function computeBeta(pixels, width, height) {
+  let sum = 0;
+  let count = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (x + 1 < width) { sum += colorDistanceSq(pixels, i, i + 1); count++; }
+      if (y + 1 < height) { sum += colorDistanceSq(pixels, i, i + width); count++; }
+      if (x + 1 < width && y + 1 < height) { sum += colorDistanceSq(pixels, i, i + width + 1); count++; }
+      if (x > 0 && y + 1 < height) { sum += colorDistanceSq(pixels, i, i + width - 1); count++; }
+    }
+  }
+
+  return sum > 0 ? count / (2 * sum) : 0;
+}
+
+function colorDistanceSq(pixels, i, j) {
+  const dr = pixels[i * 3] - pixels[j * 3];
+  const dg = pixels[i * 3 + 1] - pixels[j * 3 + 1];
+  const db = pixels[i * 3 + 2] - pixels[j * 3 + 2];
+  return dr * dr + dg * dg + db * db;
+}
+
+// A Gaussian mixture model over RGB colours
+function createModel() {
+  return {
+    weights: new Float64Array(COMPONENTS),
+    means: new Float64Array(COMPONENTS * 3),
+    inverses: new Float64Array(COMPONENTS * 9), // Inverse covariances
+    norms: new Float64Array(COMPONENTS) // weight / sqrt(det(covariance))
+  };
+}
+
+// Fit the first models by clustering each class's colours with k-means
+function initModels(fgModel, bgModel, pixels, labels) {
+  [[fgModel, true], [bgModel, false]].forEach(([model, foreground]) => {
+    const indices = [];
+    for (let i = 0; i < labels.length; i++) {
+      if (isForeground(labels[i]) === foreground) indices.push(i);
+    }
+
+    const assignment = kMeans(pixels, indices);
+    fitModel(model, pixels, indices, assignment);
+  });
+}
+
+// Cluster the given pixels into COMPONENTS groups
+function kMeans(pixels, indices) {
+  const assignment = new Uint8Array(indices.length);
+  if (indices.length === 0) return assignment;
+
+  // Start from colours spread evenly through the pixel list
+  const centers = new Float64Array(COMPONENTS * 3);
+  for (let k = 0; k < COMPONENTS; k++) {
+    const i = indices[Math.floor((k + 0.5) * indices.length / COMPONENTS)];
+    centers[k * 3] = pixels[i * 3];
+    centers[k * 3 + 1] = pixels[i * 3 + 1];
+    centers[k * 3 + 2] = pixels[i * 3 + 2];
+  }
+
+  const sums = new Float64Array(COMPONENTS * 4);
+  for (let round = 0; round < 10; round++) {
+    sums.fill(0);
+
+    for (let n = 0; n < indices.length; n++) {
+      const i = indices[n] * 3;
+      let best = 0;
+      let bestDistance = Infinity;
+
+      for (let k = 0; k < COMPONENTS; k++) {
+        const dr = pixels[i] - centers[k * 3];
+        const dg = pixels[i + 1] - centers[k * 3 + 1];
+        const db = pixels[i + 2] - centers[k * 3 + 2];
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = k;
+        }
+      }
+
+      assignment[n] = best;
+      sums[best * 4] += pixels[i];
+      sums[best * 4 + 1] += pixels[i + 1];
+      sums[best * 4 + 2] += pixels[i + 2];
+      sums[best * 4 + 3]++;
+    }
+
+    for (let k = 0; k < COMPONENTS; k++) {
+      const count = sums[k * 4 + 3];
+      if (count === 0) continue;
+      centers[k * 3] = sums[k * 4] / count;
+      centers[k * 3 + 1] = sums[k * 4 + 1] / count;
+      centers[k * 3 + 2] = sums[k * 4 + 2] / count;
+    }
+  }
+
+  return assignment;
+}
+
+// Move each unfixed-class pixel to the most likely component of its model
+function assignComponents(fgModel, bgModel, pixels, labels, components) {
+  for (let i = 0; i < labels.length; i++) {
+    const model = isForeground(labels[i]) ? fgModel : bgModel;
+    let best = 0;
+    let bestDensity = -1;
+
+    for (let k = 0; k < COMPONENTS; k++) {
+      const density = componentDensity(model, k, pixels, i);
+      if (density > bestDensity) {
+        bestDensity = density;
+        best = k;
+      }
+    }
+
+    components[i] = best;
+  }
+}
+
+// Refit both models from the current labelling and component assignment
+function learnModels(fgModel, bgModel, pixels, labels, components) {
+  [[fgModel, true], [bgModel, false]].forEach(([model, foreground]) => {
+    const indices = [];
+    const assignment = [];
+    for (let i = 0; i < labels.length; i++) {
+      if (isForeground(labels[i]) === foreground) {
+        indices.push(i);
+        assignment.push(components[i]);
+      }
+    }
+
+    fitModel(model, pixels, indices, assignment);
+  });
+}
+
+// Estimate weights, means and covariances of a model's components
+function fitModel(model, pixels, indices, assignment) {
+  const counts = new Float64Array(COMPONENTS);
+  const sums = new Float64Array(COMPONENTS * 3);
+  const products = new Float64Array(COMPONENTS * 9);
+
+  for (let n = 0; n < indices.length; n++) {
+    const k = assignment[n];
+    const i = indices[n] * 3;
+    const color = [pixels[i], pixels[i + 1], pixels[i + 2]];
+
+    counts[k]++;
+    for (let c = 0; c < 3; c++) {
+      sums[k * 3 + c] += color[c];
+      for (let d = 0; d < 3; d++) {
+        products[k * 9 + c * 3 + d] += color[c] * color[d];
+      }
+    }
+  }
+
+  for (let k = 0; k < COMPONENTS; k++) {
+    const count = counts[k];
+    model.weights[k] = indices.length ? count / indices.length : 0;
+    model.norms[k] = 0;
+    if (count === 0) continue;
+
+    const mean = [sums[k * 3] / count, sums[k * 3 + 1] / count, sums[k * 3 + 2] / count];
+    const covariance = new Float64Array(9);
+    for (let c = 0; c < 3; c++) {
+      model.means[k * 3 + c] = mean[c];
+      for (let d = 0; d < 3; d++) {
+        covariance[c * 3 + d] = products[k * 9 + c * 3 + d] / count - mean[c] * mean[d];
+      }
+      // Keep flat-coloured components invertible
+      covariance[c * 3 + c] += 0.01;
+    }
+
+    const determinant = invert3x3(covariance, model.inverses, k * 9);
+    model.norms[k] = model.weights[k] / Math.sqrt(determinant);
+  }
+}
+
+// Invert a symmetric 3x3 matrix into `out` at `offset`; returns its determinant
+function invert3x3(m, out, offset) {
+  const c00 = m[4] * m[8] - m[5] * m[7];
+  const c01 = m[5] * m[6] - m[3] * m[8];
+  const c02 = m[3] * m[7] - m[4] * m[6];
+  const determinant = Math.max(1e-12, m[0] * c00 + m[1] * c01 + m[2] * c02);
+
+  out[offset] = c00 / determinant;
+  out[offset + 1] = (m[2] * m[7] - m[1] * m[8]) / determinant;
+  out[offset + 2] = (m[1] * m[5] - m[2] * m[4]) / determinant;
+  out[offset + 3] = c01 / determinant;
+  out[offset + 4] = (m[0] * m[8] - m[2] * m[6]) / determinant;
+  out[offset + 5] = (m[2] * m[3] - m[0] * m[5]) / determinant;
+  out[offset + 6] = c02 / determinant;
+  out[offset + 7] = (m[1] * m[6] - m[0] * m[7]) / determinant;
+  out[offset + 8] = (m[0] * m[4] - m[1] * m[3]) / determinant;
+
+  return determinant;
+}
+
+// Weighted Gaussian density of one component (without the constant factor,
+// which is the same for every component and both models)
+function componentDensity(model, k, pixels, i) {
+  if (model.norms[k] === 0) return 0;
+
+  const inv = model.inverses;
+  const o = k * 9;
+  const dr = pixels[i * 3] - model.means[k * 3];
+  const dg = pixels[i * 3 + 1] - model.means[k * 3 + 1];
+  const db = pixels[i * 3 + 2] - model.means[k * 3 + 2];
+  const mahalanobis =
+    dr * (dr * inv[o] + dg * inv[o + 3] + db * inv[o + 6]) +
+    dg * (dr * inv[o + 1] + dg * inv[o + 4] + db * inv[o + 7]) +
+    db * (dr * inv[o + 2] + dg * inv[o + 5] + db * inv[o + 8]);
+
+  return model.norms[k] * Math.exp(-0.5 * mahalanobis);
+}
+
+// -log of a model's density at a pixel
+function dataCost(model, pixels, i) {
+  let density = 0;
+  for (let k = 0; k < COMPONENTS; k++) {
+    density += componentDensity(model, k, pixels, i);
+  }
+  return -Math.log(Math.max(density, 1e-300));
+}
+
+// Build the pixel graph, cut it, and relabel the unfixed pixels.
+// Returns whether any label changed.
+function cutGraph(fgModel, bgModel, pixels, labels, width, height, beta) {
+  const graph = createGraph(width * height, width * height * 4);
+  const diagonalGamma = GAMMA / Math.SQRT2;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+
+      // Terminal links: the source is foreground, the sink background
+      if (labels[i] === FIXED_FG) {
+        addTerminalWeights(graph, i, FIXED_WEIGHT, 0);
+      } else if (labels[i] === FIXED_BG) {
+        addTerminalWeights(graph, i, 0, FIXED_WEIGHT);
+      } else {
+        addTerminalWeights(graph, i, dataCost(bgModel, pixels, i), dataCost(fgModel, pixels, i));
+      }
+
+      // Neighbour links, weaker across strong colour edges
+      if (x + 1 < width) {
+        const weight = GAMMA * Math.exp(-beta * colorDistanceSq(pixels, i, i + 1));
+        addEdge(graph, i, i + 1, weight, weight);
+      }
+      if (y + 1 < height) {
+        const weight = GAMMA * Math.exp(-beta * colorDistanceSq(pixels, i, i + width));
+        addEdge(graph, i, i + width, weight, weight);
+      }
+      if (x + 1 < width && y + 1 < height) {
+        const weight = diagonalGamma * Math.exp(-beta * colorDistanceSq(pixels, i, i + width + 1));
+        addEdge(graph, i, i + width + 1, weight, weight);
+      }
+      if (x > 0 && y + 1 < height) {
+        const weight = diagonalGamma * Math.exp(-beta * colorDistanceSq(pixels, i, i + width - 1));
+        addEdge(graph, i, i + width - 1, weight, weight);
+      }
+    }
+  }
+
+  computeMaxFlow(graph);
+
+  let changed = false;
+  for (let i = 0; i < labels.length; i++) {
+    if (labels[i] === FIXED_FG || labels[i] === FIXED_BG) continue;
+
+    const label = isSourceSide(graph, i) ? PROBABLE_FG : PROBABLE_BG;
+    if (label !== labels[i]) {
+      labels[i] = label;
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+// Scale the working labels back up to an alpha mask with bilinear filtering
+function upscaleLabels(labels, workWidth, workHeight, width, height) {
+  const alpha = new Uint8ClampedArray(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(workHeight - 1, Math.max(0, (y + 0.5) * workHeight / height - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(workHeight - 1, y0 + 1);
+    const fy = sy - y0;
+
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(workWidth - 1, Math.max(0, (x + 0.5) * workWidth / width - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(workWidth - 1, x0 + 1);
+      const fx = sx - x0;
+
+      const top = isForeground(labels[y0 * workWidth + x0]) * (1 - fx) + isForeground(labels[y0 * workWidth + x1]) * fx;
+      const bottom = isForeground(labels[y1 * workWidth + x0]) * (1 - fx) + isForeground(labels[y1 * workWidth + x1]) * fx;
+      alpha[y * width + x] = Math.round((top * (1 - fy) + bottom * fy) * 255);
+    }
+  }
+
+  return alpha;
+}
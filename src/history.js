@@ -0,0 +1,116 @@
+// Per-image undo/redo history
+//
+// Each entry stores a snapshot of the image state from before an edit.
+// Entries are dropped from the oldest end once either cap is exceeded.
+//
+// Snapshots usually share most of their data with their neighbours (an edit
+// to the mask keeps the same source image and effects), so the byte budget
+// counts each string or typed array once however many entries hold it.
+
+export const MAX_HISTORY_ENTRIES = 30;
+export const MAX_HISTORY_BYTES = 64 * 1024 * 1024;
+
+// Create an empty history for an image
+export function createHistory() {
+  return {
+    undoStack: [],
+    redoStack: [],
+    bytes: 0,
+    // Strings and typed arrays held by entries, with how many entries hold them
+    data: new Map()
+  };
+}
+
+// Record the state an edit is about to replace
+export function pushHistory(history, label, state) {
+  // A new edit invalidates everything that could be redone
+  for (const entry of history.redoStack) {
+    releaseEntry(history, entry);
+  }
+  history.redoStack = [];
+
+  history.undoStack.push(createEntry(history, label, state));
+  trimHistory(history);
+}
+
+// Step back one edit. Returns the state to restore, or null if there is none.
+export function undoHistory(history, currentState) {
+  if (history.undoStack.length === 0) return null;
+
+  const entry = history.undoStack.pop();
+  history.redoStack.push(createEntry(history, entry.label, currentState));
+  releaseEntry(history, entry);
+
+  return entry;
+}
+
+// Re-apply the last undone edit. Returns the state to restore, or null if there is none.
+export function redoHistory(history, currentState) {
+  if (history.redoStack.length === 0) return null;
+
+  const entry = history.redoStack.pop();
+  history.undoStack.push(createEntry(history, entry.label, currentState));
+  releaseEntry(history, entry);
+
+  return entry;
+}
+
+export function canUndo(history) {
+  return !!history && history.undoStack.length > 0;
+}
+
+export function canRedo(history) {
+  return !!history && history.redoStack.length > 0;
+}
+
+function createEntry(history, label, state) {
+  const data = collectData(state, new Set());
+
+  for (const value of data) {
+    const count = history.data.get(value) || 0;
+    if (count === 0) history.bytes += sizeOf(value);
+    history.data.set(value, count + 1);
+  }
+
+  return { label, state, data };
+}
+
+// Give up an entry's hold on its data, freeing the budget for data no other
+// entry holds
+function releaseEntry(history, entry) {
+  for (const value of entry.data) {
+    const count = history.data.get(value) - 1;
+    if (count === 0) {
+      history.data.delete(value);
+      history.bytes -= sizeOf(value);
+    } else {
+      history.data.set(value, count);
+    }
+  }
+}
+
+// Drop the oldest undo entries until the history fits its caps
+function trimHistory(history) {
+  while (history.undoStack.length > 0 &&
+         (history.undoStack.length > MAX_HISTORY_ENTRIES || history.bytes > MAX_HISTORY_BYTES)) {
+    releaseEntry(history, history.undoStack.shift());
+  }
+}
+
+// The strings and typed arrays in a snapshot, which make up nearly all of
+// its memory
+function collectData(value, data) {
+  if (typeof value === 'string' || ArrayBuffer.isView(value)) {
+    data.add(value);
+  } else if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      collectData(value[key], data);
+    }
+  }
+  return data;
+}
+
+// Rough memory footprint in bytes
+function sizeOf(value) {
+  return typeof value === 'string' ? value.length : value.byteLength;
+}
@@ -2,15 +2,65 @@ import { fabric } from 'fabric';
 import { saveAs } from 'file-saver';
 import JSZip from 'jszip';
 import Toastify from 'toastify-js';
+import Cropper from 'cropperjs';
 import "toastify-js/src/toastify.css";
+import "cropperjs/dist/cropper.css";
+import { createHistory, pushHistory, undoHistory, redoHistory, canUndo, canRedo } from './history.js';
+import { compositeImage, compositeSubject, compositeView, renderBackground, createThumbnailURL, createCanvas } from './compositor.js';
+import { cloneMask, featherMask } from './mask.js';
+import { getEngine, listEngines, EngineError, ONNX_MODELS } from './engines.js';
+import { grabCutImage, segmentPreview, refineEdgesImage } from './segmentationClient.js';
+import { listColorSpaces } from './colorSpace.js';
+import { EXPORT_FORMATS, SIZE_PRESETS, isFormatSupported, resizeForExport, encodeImage, stripExtension, fillTemplate, sanitizePath, formatDate, formatFileSize } from './exporter.js';
+import { ASPECT_RATIOS, transformImage, transformMap } from './transform.js';
+import { magicWandSelect, combineSelections, invertSelection, createEdgeCostMap, findEdgePath } from './selection.js';
+import { loadSettings, saveSettings, getSetting, setSetting } from './settings.js';
+import { HINT_NONE, HINT_KEEP, HINT_DISCARD, PARAM_PRESETS, applyHintsToAlpha } from './segmentation.js';
 
 // Global variables
 let canvas;
 let images = [];
 let currentImageIndex = -1;
 let isDrawingMode = false;
-let brushMode = 'remove'; // 'remove' or 'restore'
-let originalImageData = null; // Store original image data for reset functionality
+let brushMode = 'remove'; // 'remove', 'restore', 'refine', 'keep' or 'discard' for hints, 'box', 'wand', 'lasso' or 'subject'
+let currentSelection = null; // Wand or lasso selection on the current image (0-255 per pixel)
+let lasso = null; // Magnetic lasso being drawn: edge cost map, anchors and path so far
+let sourceCache = null; // Decoded source pixels of the most recently used image
+let isComparingDefringe = false; // Preview the current image without defringing
+let isSpaceHeld = false; // Space turns dragging on the canvas into panning
+let backdropImage = null; // Most recently chosen backdrop for image backgrounds
+let subjectLayer = null; // Cut-out subject shown on its own while positioning it
+let exportEstimateId = 0; // Latest export size estimate; older results are dropped
+let cropper = null; // Cropper.js instance while the crop dialog is open
+let cropQuarterTurns = 0; // 90° rotations applied in the crop dialog
+let batch = null; // Process All run: recipe, images still queued and whether it is paused
+let settings = loadSettings();
+
+// Deepest zoom, in multiples of the image's actual size
+const MAX_PIXEL_ZOOM = 16;
+
+// Longest side of the navigator minimap, in pixels
+const NAVIGATOR_SIZE = 160;
+
+// Effect key and starting control values of each shadow type. Opacity and
+// sizes are percentages; blur and distance are in preview pixels.
+const SHADOW_TYPES = {
+  drop: {
+    effect: 'shadow',
+    label: 'Drop shadow',
+    defaults: { color: '#000000', opacity: 50, blur: 10, angle: 45, distance: 7 }
+  },
+  contact: {
+    effect: 'contactShadow',
+    label: 'Contact shadow',
+    defaults: { color: '#000000', opacity: 60, blur: 8, size: 10 }
+  },
+  reflection: {
+    effect: 'reflection',
+    label: 'Reflection',
+    defaults: { opacity: 40, distance: 0, fade: 40 }
+  }
+};
 
 // Initialize the application
 function init() {
@@ -19,12 +69,101 @@ function init() {
   const removeBgBtn = document.getElementById('remove-bg');
   const magicRemoveBtn = document.getElementById('magic-remove');
   const magicRestoreBtn = document.getElementById('magic-restore');
-  const addShadowBtn = document.getElementById('add-shadow');
+  const refineBrushBtn = document.getElementById('refine-brush');
+  const brushControls = document.querySelectorAll('[data-brush]');
+  const hintKeepBtn = document.getElementById('hint-keep');
+  const hintDiscardBtn = document.getElementById('hint-discard');
+  const clearHintsBtn = document.getElementById('clear-hints');
+  const grabCutBtn = document.getElementById('grabcut-box');
+  const refineEdgesBtn = document.getElementById('refine-edges');
+  const featherBtn = document.getElementById('feather-edges');
+  const defringeBtn = document.getElementById('defringe');
+  const defringeCompareBtn = document.getElementById('defringe-compare');
+  const defringeStrength = document.getElementById('defringe-strength');
+  const defringeStrengthValue = document.getElementById('defringe-strength-value');
+  const magicWandBtn = document.getElementById('magic-wand');
+  const magneticLassoBtn = document.getElementById('magnetic-lasso');
+  const wandTolerance = document.getElementById('wand-tolerance');
+  const wandToleranceValue = document.getElementById('wand-tolerance-value');
+  const invertSelectionBtn = document.getElementById('invert-selection');
+  const featherSelectionBtn = document.getElementById('feather-selection');
+  const removeSelectionBtn = document.getElementById('remove-selection');
+  const restoreSelectionBtn = document.getElementById('restore-selection');
+  const clearSelectionBtn = document.getElementById('clear-selection');
+  const bgType = document.getElementById('bg-type');
+  const bgColor = document.getElementById('bg-color');
+  const bgColor2 = document.getElementById('bg-color2');
+  const bgGradientType = document.getElementById('bg-gradient-type');
+  const bgAngle = document.getElementById('bg-angle');
+  const bgAngleValue = document.getElementById('bg-angle-value');
+  const bgImageInput = document.getElementById('bg-image');
+  const bgFit = document.getElementById('bg-fit');
+  const applyBgBtn = document.getElementById('apply-bg');
+  const moveSubjectBtn = document.getElementById('move-subject');
+  const clearBgBtn = document.getElementById('clear-bg');
+  const shadowType = document.getElementById('shadow-type');
+  const shadowControls = document.querySelectorAll('[data-shadow]');
+  const applyShadowBtn = document.getElementById('apply-shadow');
+  const removeShadowBtn = document.getElementById('remove-shadow');
   const blurBgBtn = document.getElementById('blur-bg');
+  const removeBlurBtn = document.getElementById('remove-blur');
+  const blurControls = document.querySelectorAll('[data-blur]');
+  const undoBtn = document.getElementById('undo');
+  const redoBtn = document.getElementById('redo');
   const downloadBtn = document.getElementById('download');
   const resetBtn = document.getElementById('reset');
+  const processAllBtn = document.getElementById('process-all');
+  const batchDialog = document.getElementById('batch-dialog');
+  const batchSteps = document.querySelectorAll('[data-batch]');
+  const batchStatus = document.getElementById('batch-status');
+  const batchPauseBtn = document.getElementById('batch-pause');
+  const batchRetryBtn = document.getElementById('batch-retry');
+  const cropRotateBtn = document.getElementById('crop-rotate');
+  const cropDialog = document.getElementById('crop-dialog');
+  const cropImage = document.getElementById('crop-image');
+  const cropAspect = document.getElementById('crop-aspect');
+  const cropStraighten = document.getElementById('crop-straighten');
+  const cropStraightenValue = document.getElementById('crop-straighten-value');
+  const exportDialog = document.getElementById('export-dialog');
+  const exportFormat = document.getElementById('export-format');
+  const exportQuality = document.getElementById('export-quality');
+  const exportQualityValue = document.getElementById('export-quality-value');
+  const exportMatte = document.getElementById('export-matte');
+  const exportSize = document.getElementById('export-size');
+  const exportWidth = document.getElementById('export-width');
+  const exportHeight = document.getElementById('export-height');
+  const exportMargin = document.getElementById('export-margin');
+  const exportAlign = document.getElementById('export-align');
+  const exportMaxFill = document.getElementById('export-max-fill');
+  const exportNameTemplate = document.getElementById('export-name-template');
+  const exportFolderTemplate = document.getElementById('export-folder-template');
+  const exportNamePreview = document.getElementById('export-name-preview');
+  const exportEstimate = document.getElementById('export-estimate');
   const thumbnailsContainer = document.getElementById('thumbnails');
   const loadingOverlay = document.getElementById('loading-overlay');
+  const cancelJobBtn = document.getElementById('cancel-job');
+  const settingsPanel = document.getElementById('settings-panel');
+  const maskPreviewCanvas = document.getElementById('mask-preview');
+  const maskPreviewStatus = document.getElementById('mask-preview-status');
+  const zoomFitBtn = document.getElementById('zoom-fit');
+  const zoomActualBtn = document.getElementById('zoom-100');
+  const zoomDoubleBtn = document.getElementById('zoom-200');
+  const zoomLevel = document.getElementById('zoom-level');
+  const pixelInfo = document.getElementById('pixel-info');
+  const navigatorCanvas = document.getElementById('navigator');
+  const viewModeSelect = document.getElementById('view-mode');
+  const viewColorInput = document.getElementById('view-color');
+  
+  // Brush footprint outline, shown over the canvas while painting
+  const brushCursor = document.createElement('div');
+  brushCursor.className = 'brush-cursor hidden';
+  const brushCursorCore = document.createElement('div');
+  brushCursorCore.className = 'brush-cursor-core';
+  brushCursor.appendChild(brushCursorCore);
+  document.body.appendChild(brushCursor);
+  
+  // Buttons that toggle a drawing mode on the canvas
+  const drawingButtons = [grabCutBtn, magicRemoveBtn, magicRestoreBtn, refineBrushBtn, hintKeepBtn, hintDiscardBtn, magicWandBtn, magneticLassoBtn, moveSubjectBtn];
   
   // Explicitly hide loading overlay at startup
   if (loadingOverlay) {
@@ -46,17 +185,28 @@ function init() {
   canvas.freeDrawingBrush.width = 20;
   canvas.freeDrawingBrush.color = 'rgba(255, 0, 0, 0.5)';
   
-  // Helper functions for loading overlay
-  function showLoading(message = 'Processing...') {
+  // Helper functions for loading overlay.
+  // Passing `onCancel` shows a Cancel button that calls it.
+  function showLoading(message = 'Processing...', onCancel = null) {
     if (loadingOverlay) {
-      const loadingText = loadingOverlay.querySelector('.loading-text');
-      if (loadingText) loadingText.textContent = message;
+      updateLoading(message);
+      cancelJobBtn.onclick = onCancel;
+      cancelJobBtn.classList.toggle('hidden', !onCancel);
+      
+      // The startup code hides the overlay with an inline style as well
+      loadingOverlay.style.display = '';
       loadingOverlay.classList.remove('hidden');
     }
   }
   
+  function updateLoading(message) {
+    const loadingText = loadingOverlay && loadingOverlay.querySelector('.loading-text');
+    if (loadingText) loadingText.textContent = message;
+  }
+  
   function hideLoading() {
     if (loadingOverlay) loadingOverlay.classList.add('hidden');
+    cancelJobBtn.onclick = null;
   }
   
   // Show toast notification
@@ -104,10 +254,17 @@ function init() {
       const reader = new FileReader();
       
       reader.onload = function(event) {
+        // The original stays untouched. Cropping replaces the working
+        // `source`; other edits live in the mask and effects.
         const imgObj = {
           original: event.target.result,
-          edited: event.target.result,
-          filename: file.name
+          source: event.target.result,
+          thumbnail: event.target.result,
+          filename: file.name,
+          mask: null,
+          effects: {},
+          hints: null,
+          history: createHistory()
         };
         
         images.push(imgObj);
@@ -141,7 +298,7 @@ function init() {
     thumbnail.classList.add('thumbnail-wrapper');
     
     const img = document.createElement('img');
-    img.src = imgObj.edited;
+    img.src = imgObj.thumbnail;
     img.classList.add('thumbnail');
     img.dataset.index = index;
     img.alt = imgObj.filename;
@@ -180,46 +337,404 @@ function init() {
       }
     });
     
-    // Store original image data for reset functionality
-    originalImageData = images[index].original;
+    updateHistoryButtons();
+    
+    // Exit drawing mode when switching images
+    if (isDrawingMode) exitDrawingMode();
+    
+    // Show the new image whole
+    canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+    
+    // Selections belong to the image they were made on
+    currentSelection = null;
+    
+    setDefringeCompare(false);
+    if (images[index].effects.decontaminate) {
+      defringeStrength.value = Math.round(images[index].effects.decontaminate.strength * 100);
+      updateDefringeStrengthLabel();
+    }
+    if (images[index].effects.background) {
+      syncBackgroundControls(images[index].effects.background);
+    }
+    syncShadowControls();
+    if (images[index].effects.blur) {
+      syncBlurControls(images[index].effects.blur);
+    }
+    
+    scheduleMaskPreview();
     
     // Load image to canvas
-    fabric.Image.fromURL(images[index].edited, img => {
-      canvas.clear();
-      
-      // Scale image to fit canvas
-      const scale = Math.min(
-        canvas.width / img.width,
-        canvas.height / img.height
-      ) * 0.9;
+    renderCurrentImage(() => {
+      showToast(`Editing: ${images[index].filename}`, 'info');
+    });
+  }
+  
+  // Present a rendered image in the chosen view mode. The rendered image
+  // itself, used for thumbnails and export, is left alone.
+  function createViewImage(imgObj, rendered) {
+    return getSourceData(imgObj).then(sourceData => {
+      // While positioning, the subject is a separate canvas object over the
+      // bare background
+      if (isSubjectMode() && imgObj.effects.background) {
+        subjectLayer = compositeSubject(sourceData, imgObj.mask, imgObj.effects);
+        return renderBackground(sourceData.width, sourceData.height, imgObj.effects.background);
+      }
       
-      img.scale(scale);
+      return compositeView(rendered, sourceData, imgObj.mask, {
+        mode: settings.view.mode,
+        color: settings.view.color,
+        // About 8 screen pixels per square when the image is fitted
+        cellSize: Math.max(1, Math.round(8 / getPreviewScale(sourceData.width, sourceData.height)))
+      });
+    });
+  }
+  
+  // Switch the view mode (or its solid colour) and redraw the current image
+  function changeViewMode() {
+    settings.view.mode = viewModeSelect.value;
+    settings.view.color = viewColorInput.value;
+    saveSettings(settings);
+    viewColorInput.classList.toggle('hidden', settings.view.mode !== 'solid');
+    
+    if (currentImageIndex !== -1) renderCurrentImage();
+  }
+  
+  // Show a rendered image in the preview canvas, fitted and centred.
+  // The canvas is only a preview; edits never read pixels back from it.
+  function displayImage(element, callback) {
+    const img = new fabric.Image(element);
+    canvas.clear();
+    
+    // Clearing drops the background; keep the area around the image neutral
+    canvas.backgroundColor = '#f0f0f0';
+    
+    // Scale image to fit canvas
+    img.scale(getPreviewScale(img.width, img.height));
+    
+    // Center image
+    img.set({
+      left: canvas.width / 2,
+      top: canvas.height / 2,
+      originX: 'center',
+      originY: 'center'
+    });
+    
+    canvas.add(img);
+    updateOverlays(img);
+    applyViewport();
+    canvas.renderAll();
+    
+    if (callback) callback(img);
+  }
+  
+  // Zoom and pan change only the viewport transform. Canvas objects and
+  // canvas.getPointer() stay in scene coordinates, so brush strokes, boxes and
+  // clicks map to the same image pixels at any zoom.
+  
+  // Zoom level (1 = fitted) at which one image pixel covers one screen pixel
+  function getActualSizeZoom() {
+    const mainImage = canvas.item(0);
+    return mainImage ? 1 / (mainImage.scaleX * getScreenScale()) : 1;
+  }
+  
+  // On-screen size of a canvas pixel, which CSS may shrink to fit the page
+  function getScreenScale() {
+    return canvas.upperCanvasEl.getBoundingClientRect().width / canvas.width || 1;
+  }
+  
+  // Zoom about a point in canvas coordinates (the middle by default)
+  function setZoom(zoom, point = new fabric.Point(canvas.width / 2, canvas.height / 2)) {
+    const maxZoom = Math.max(1, getActualSizeZoom() * MAX_PIXEL_ZOOM);
+    canvas.zoomToPoint(point, Math.max(1, Math.min(maxZoom, zoom)));
+    applyViewport();
+  }
+  
+  function zoomToFit() {
+    canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+    applyViewport();
+  }
+  
+  // Keep the view inside the canvas area and update everything that depends
+  // on the zoom
+  function applyViewport() {
+    const vpt = canvas.viewportTransform.slice();
+    const zoom = vpt[0];
+    vpt[4] = Math.min(0, Math.max(canvas.width * (1 - zoom), vpt[4]));
+    vpt[5] = Math.min(0, Math.max(canvas.height * (1 - zoom), vpt[5]));
+    canvas.setViewportTransform(vpt);
+    
+    // Show crisp pixels once they are larger than screen pixels
+    const mainImage = canvas.item(0);
+    const actualSize = getActualSizeZoom();
+    if (mainImage) mainImage.set({ imageSmoothing: zoom < actualSize, dirty: true });
+    
+    zoomLevel.textContent = mainImage ? `${Math.round(zoom / actualSize * 100)}%` : '';
+    updateBrush();
+    updateNavigator();
+    canvas.requestRenderAll();
+  }
+  
+  // Mouse wheel and trackpad pinch (a wheel event with Ctrl held) zoom about
+  // the pointer
+  function zoomWithWheel(opt) {
+    if (!canvas.item(0)) return;
+    opt.e.preventDefault();
+    
+    const factor = Math.pow(opt.e.ctrlKey ? 0.99 : 0.998, opt.e.deltaY);
+    const pointer = canvas.getPointer(opt.e, true);
+    setZoom(canvas.getZoom() * factor, new fabric.Point(pointer.x, pointer.y));
+  }
+  
+  // Two-finger touch: pinch to zoom, move to pan
+  function initTouchZoom() {
+    const touches = new Map();
+    let pinch = null;
+    
+    function getPinch() {
+      const [a, b] = [...touches.values()].map(e => canvas.getPointer(e, true));
+      return {
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        center: new fabric.Point((a.x + b.x) / 2, (a.y + b.y) / 2)
+      };
+    }
+    
+    canvas.upperCanvasEl.addEventListener('pointerdown', e => {
+      if (e.pointerType !== 'touch') return;
+      touches.set(e.pointerId, e);
+      if (touches.size === 2) pinch = { ...getPinch(), zoom: canvas.getZoom() };
+    });
+    
+    canvas.upperCanvasEl.addEventListener('pointermove', e => {
+      if (!touches.has(e.pointerId)) return;
+      touches.set(e.pointerId, e);
+      if (!pinch || touches.size !== 2 || !canvas.item(0)) return;
       
-      // Center image
-      img.set({
-        left: canvas.width / 2,
-        top: canvas.height / 2,
-        originX: 'center',
-        originY: 'center'
+      const { distance, center } = getPinch();
+      canvas.relativePan(center.subtract(pinch.center));
+      pinch.center = center;
+      setZoom(pinch.zoom * distance / pinch.distance, center);
+    });
+    
+    ['pointerup', 'pointercancel'].forEach(type => {
+      canvas.upperCanvasEl.addEventListener(type, e => {
+        touches.delete(e.pointerId);
+        if (touches.size < 2) pinch = null;
       });
+    });
+  }
+  
+  // Drag with Space held, or with the middle mouse button, to pan. The
+  // events are caught before fabric sees them, so no tool reacts to the drag.
+  function initPanning() {
+    let last = null;
+    
+    canvas.wrapperEl.addEventListener('mousedown', e => {
+      if (!isSpaceHeld && e.button !== 1) return;
+      e.preventDefault();
+      e.stopPropagation();
+      last = { x: e.clientX, y: e.clientY };
+      canvas.wrapperEl.classList.add('is-panning');
+    }, true);
+    
+    window.addEventListener('mousemove', e => {
+      if (!last) return;
       
-      canvas.add(img);
-      canvas.renderAll();
+      const screenScale = getScreenScale();
+      canvas.relativePan(new fabric.Point((e.clientX - last.x) / screenScale, (e.clientY - last.y) / screenScale));
+      last = { x: e.clientX, y: e.clientY };
+      applyViewport();
+    });
+    
+    window.addEventListener('mouseup', () => {
+      if (!last) return;
+      last = null;
+      canvas.wrapperEl.classList.remove('is-panning');
+    });
+  }
+  
+  function setSpaceHeld(held) {
+    isSpaceHeld = held;
+    canvas.wrapperEl.classList.toggle('can-pan', held);
+    if (held) brushCursor.classList.add('hidden');
+  }
+  
+  // Draw the whole image with the visible area outlined. Shown only while
+  // zoomed in.
+  function updateNavigator() {
+    const mainImage = canvas.item(0);
+    const zoomed = mainImage && canvas.getZoom() > 1;
+    navigatorCanvas.classList.toggle('hidden', !zoomed);
+    if (!zoomed) return;
+    
+    const element = mainImage.getElement();
+    const scale = NAVIGATOR_SIZE / Math.max(mainImage.width, mainImage.height);
+    navigatorCanvas.width = Math.round(mainImage.width * scale);
+    navigatorCanvas.height = Math.round(mainImage.height * scale);
+    
+    const ctx = navigatorCanvas.getContext('2d');
+    ctx.drawImage(element, 0, 0, navigatorCanvas.width, navigatorCanvas.height);
+    
+    // The viewport's corners in image pixels
+    const toImage = fabric.util.multiplyTransformMatrices(
+      getCanvasToImageTransform(mainImage),
+      fabric.util.invertTransform(canvas.viewportTransform)
+    );
+    const topLeft = fabric.util.transformPoint(new fabric.Point(0, 0), toImage);
+    const bottomRight = fabric.util.transformPoint(new fabric.Point(canvas.width, canvas.height), toImage);
+    
+    ctx.strokeStyle = '#dc3545';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(
+      topLeft.x * scale,
+      topLeft.y * scale,
+      (bottomRight.x - topLeft.x) * scale,
+      (bottomRight.y - topLeft.y) * scale
+    );
+  }
+  
+  // Centre the view on the navigator point under the pointer
+  function panToNavigatorPoint(e) {
+    const mainImage = canvas.item(0);
+    if (!mainImage) return;
+    
+    const bounds = navigatorCanvas.getBoundingClientRect();
+    const scale = bounds.width / mainImage.width;
+    const imagePoint = new fabric.Point((e.clientX - bounds.left) / scale, (e.clientY - bounds.top) / scale);
+    const scenePoint = fabric.util.transformPoint(imagePoint, getImageToCanvasTransform(mainImage));
+    
+    const vpt = canvas.viewportTransform.slice();
+    vpt[4] = canvas.width / 2 - scenePoint.x * vpt[0];
+    vpt[5] = canvas.height / 2 - scenePoint.y * vpt[3];
+    canvas.setViewportTransform(vpt);
+    applyViewport();
+  }
+  
+  function initNavigator() {
+    let dragging = false;
+    
+    navigatorCanvas.addEventListener('pointerdown', e => {
+      dragging = true;
+      navigatorCanvas.setPointerCapture(e.pointerId);
+      panToNavigatorPoint(e);
+    });
+    navigatorCanvas.addEventListener('pointermove', e => {
+      if (dragging) panToNavigatorPoint(e);
+    });
+    navigatorCanvas.addEventListener('pointerup', () => {
+      dragging = false;
+    });
+  }
+  
+  // Show the image pixel under the pointer and its mask alpha
+  function updatePixelInfo(e) {
+    const mainImage = canvas.item(0);
+    const imgObj = images[currentImageIndex];
+    if (!mainImage || !imgObj) return;
+    
+    const point = fabric.util.transformPoint(canvas.getPointer(e), getCanvasToImageTransform(mainImage));
+    const x = Math.floor(point.x);
+    const y = Math.floor(point.y);
+    if (x < 0 || x >= mainImage.width || y < 0 || y >= mainImage.height) {
+      pixelInfo.textContent = '';
+      return;
+    }
+    
+    const alpha = imgObj.mask ? imgObj.mask[y * mainImage.width + x] : 255;
+    pixelInfo.textContent = `x ${x}, y ${y} · alpha ${alpha}`;
+  }
+  
+  // Scale factor used to fit an image of the given size into the preview canvas
+  function getPreviewScale(width, height) {
+    return Math.min(
+      canvas.width / width,
+      canvas.height / height
+    ) * 0.9;
+  }
+  
+  // Load an image element from a data URL
+  function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Failed to load image'));
+      img.src = src;
+    });
+  }
+  
+  // Draw an image onto a new canvas at its native resolution
+  function createWorkCanvas(img) {
+    const workCanvas = document.createElement('canvas');
+    workCanvas.width = img.naturalWidth;
+    workCanvas.height = img.naturalHeight;
+    workCanvas.getContext('2d').drawImage(img, 0, 0);
+    return workCanvas;
+  }
+  
+  // Decode the untouched source pixels of an image at native resolution.
+  // The result is shared and must not be modified.
+  function getSourceData(imgObj) {
+    if (sourceCache && sourceCache.imgObj === imgObj && sourceCache.src === imgObj.source) {
+      return Promise.resolve(sourceCache.imageData);
+    }
+    
+    return loadImage(imgObj.source).then(img => {
+      const workCanvas = createWorkCanvas(img);
+      const imageData = workCanvas.getContext('2d').getImageData(0, 0, workCanvas.width, workCanvas.height);
       
-      // Exit drawing mode when switching images
-      if (isDrawingMode) {
-        isDrawingMode = false;
-        canvas.isDrawingMode = false;
-        magicRemoveBtn.classList.remove('primary');
-        magicRestoreBtn.classList.remove('primary');
-      }
+      imgObj.width = imageData.width;
+      imgObj.height = imageData.height;
+      sourceCache = { imgObj, src: imgObj.source, imageData };
       
-      showToast(`Editing: ${images[index].filename}`, 'info');
-    }, null, {
-      crossOrigin: 'anonymous'
+      return imageData;
     });
   }
   
+  // Composite an image's layers at full resolution
+  function renderImage(imgObj) {
+    return getSourceData(imgObj).then(sourceData => compositeImage(sourceData, imgObj.mask, imgObj.effects));
+  }
+  
+  // Re-render the current image into the preview and its thumbnail
+  function renderCurrentImage(callback) {
+    const index = currentImageIndex;
+    const imgObj = images[index];
+    if (!imgObj.effects.decontaminate) setDefringeCompare(false);
+    const comparing = isComparingDefringe;
+    
+    // The before/after comparison only changes the preview
+    const render = comparing
+      ? getSourceData(imgObj).then(sourceData => {
+        const { decontaminate, ...effects } = imgObj.effects;
+        return compositeImage(sourceData, imgObj.mask, effects);
+      })
+      : renderImage(imgObj);
+    
+    render
+      .then(rendered => {
+        if (!comparing) updateThumbnail(imgObj, rendered);
+        
+        // Another image may have been selected while rendering
+        if (index !== currentImageIndex) return;
+        
+        return createViewImage(imgObj, rendered).then(view => {
+          if (index === currentImageIndex) displayImage(view, callback);
+        });
+      })
+      .catch(error => {
+        console.error('Render error:', error);
+        hideLoading();
+        showToast(`Failed to load ${imgObj.filename}`, 'error');
+      });
+  }
+  
+  // Show a rendered image in its thumbnail
+  function updateThumbnail(imgObj, rendered) {
+    imgObj.thumbnail = createThumbnailURL(rendered);
+    
+    const thumbnail = document.querySelectorAll('.thumbnail')[images.indexOf(imgObj)];
+    if (thumbnail) thumbnail.src = imgObj.thumbnail;
+  }
+  
   // Production-ready background removal
   function removeBackground() {
     if (currentImageIndex === -1) {
@@ -227,1206 +742,2291 @@ function init() {
       return;
     }
     
-    showLoading('Removing background...');
+    const imgObj = images[currentImageIndex];
+    const controller = new AbortController();
     
-    const activeObj = canvas.getActiveObject() || canvas.item(0);
-    if (!activeObj) {
-      hideLoading();
-      showToast('No image found on canvas', 'error');
+    showLoading('Removing background...', () => controller.abort());
+    
+    // Work on the image's native pixels, not the scaled preview
+    getSourceData(imgObj)
+      .then(sourceData => segmentWithEngine(sourceData, {
+        hints: imgObj.hints,
+        signal: controller.signal,
+        onProgress: (stage, progress) => {
+          updateLoading(`Removing background: ${stage} (${Math.round(progress * 100)}%)`);
+        }
+      }))
+      .then(mask => {
+        updateEditedImage(imgObj, 'Remove background', { mask }, () => {
+          hideLoading();
+          showToast('Background removed successfully', 'success');
+        });
+      })
+      .catch(error => {
+        hideLoading();
+        if (error.name === 'AbortError') {
+          showToast('Background removal cancelled', 'info');
+          return;
+        }
+        console.error('Background removal error:', error);
+        showToast(error instanceof EngineError ? error.message : 'Failed to remove background', 'error');
+      });
+  }
+  
+  // Segment with the engine chosen in settings. A failing engine falls back
+  // to the local one when that option is enabled. Keep/discard hints are
+  // enforced on the result whichever engine produced it.
+  function segmentWithEngine(sourceData, { hints = null, onProgress, signal }) {
+    const engine = getEngine(settings.engine);
+    const options = { settings, hints, onProgress, signal };
+    
+    return engine.segment(sourceData, options)
+      .catch(error => {
+        if (error.name === 'AbortError' || engine.id === 'local' || !settings.fallbackToLocal) {
+          throw error;
+        }
+        
+        console.error(`${engine.label} failed:`, error);
+        showToast(`${error.message} Using the local engine instead.`, 'error');
+        return getEngine('local').segment(sourceData, options);
+      })
+      .then(mask => {
+        if (hints) applyHintsToAlpha(mask, hints);
+        return mask;
+      });
+  }
+  
+  // Set magic brush mode
+  function setMagicBrushMode(mode) {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
       return;
     }
     
-    setTimeout(() => {
-      try {
-        // Create a temporary canvas to manipulate the image
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        
-        // Set dimensions
-        tempCanvas.width = activeObj.width * activeObj.scaleX;
-        tempCanvas.height = activeObj.height * activeObj.scaleY;
+    // Toggle drawing mode if clicking the same button
+    if (isDrawingMode && brushMode === mode) {
+      exitDrawingMode();
+      showToast('Magic brush disabled', 'info');
+      return;
+    }
+    
+    enterDrawingMode(mode);
+    
+    // Set brush color based on mode
+    if (mode === 'remove') {
+      canvas.freeDrawingBrush.color = 'rgba(255, 0, 0, 0.5)';
+      magicRemoveBtn.classList.add('primary');
+      showToast('Magic Remove Brush activated - Draw over areas to remove', 'info');
+    } else {
+      canvas.freeDrawingBrush.color = 'rgba(0, 255, 0, 0.5)';
+      magicRestoreBtn.classList.add('primary');
+      showToast('Magic Restore Brush activated - Draw over areas to restore', 'info');
+    }
+    
+    // Process the drawn path when mouse is released
+    canvas.off('mouse:up'); // Remove previous listeners
+    canvas.on('mouse:up', function() {
+      if (!isDrawingMode) return;
+      
+      const paths = canvas.getObjects('path');
+      if (paths.length === 0) return;
+      
+      showLoading(mode === 'remove' ? 'Removing area...' : 'Restoring area...');
+      
+      setTimeout(() => {
+        // Get the current image
+        const mainImage = canvas.item(0);
+        if (!mainImage) {
+          hideLoading();
+          return;
+        }
         
-        // Draw the image on the temporary canvas
-        const img = new Image();
-        img.src = images[currentImageIndex].edited;
+        const imgObj = images[currentImageIndex];
         
-        img.onload = function() {
-          tempCtx.drawImage(img, 0, 0, tempCanvas.width, tempCanvas.height);
-          
-          // Get image data
-          const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-          
-          // Apply production-ready background removal
-          removeBackgroundPro(imageData, tempCanvas.width, tempCanvas.height);
-          
-          // Put the modified image data back
-          tempCtx.putImageData(imageData, 0, 0);
-          
-          // Replace the image on the canvas
-          fabric.Image.fromURL(tempCanvas.toDataURL(), newImg => {
-            canvas.clear();
+        getSourceData(imgObj)
+          .then(sourceData => {
+            const { width, height } = sourceData;
             
-            // Scale image to fit canvas
-            const scale = Math.min(
-              canvas.width / newImg.width,
-              canvas.height / newImg.height
-            ) * 0.9;
+            // Brush strokes edit the mask; the source pixels stay untouched
+            const mask = cloneMask(imgObj.mask, width, height);
             
-            newImg.scale(scale);
+            // Soft brushes paint a narrower core and blur it out to the full
+            // footprint; opacity limits how much one stroke changes
+            const softness = 1 - settings.brush.hardness / 100;
+            const opacity = settings.brush.opacity / 100;
             
-            // Center image
-            newImg.set({
-              left: canvas.width / 2,
-              top: canvas.height / 2,
-              originX: 'center',
-              originY: 'center'
+            // Rasterize each stroke's own geometry onto the image's pixel grid
+            paths.forEach(path => {
+              const imageStrokeWidth = path.strokeWidth / mainImage.scaleX;
+              const coverage = rasterizeObject(path, mainImage, width, height, {
+                strokeWidth: path.strokeWidth * (1 - softness / 2),
+                blur: softness * imageStrokeWidth / 6
+              });
+              
+              for (let i = 0; i < mask.length; i++) {
+                if (coverage[i] === 0) continue;
+                
+                // Removed areas fade towards transparent, restored areas
+                // towards opaque
+                const amount = coverage[i] / 255 * opacity;
+                mask[i] = mode === 'remove'
+                  ? mask[i] * (1 - amount)
+                  : mask[i] + (255 - mask[i]) * amount;
+              }
             });
             
-            canvas.add(newImg);
-            canvas.renderAll();
-            
-            // Update the edited image
-            updateEditedImage();
-            
+            updateEditedImage(imgObj, mode === 'remove' ? 'Magic remove' : 'Magic restore', { mask }, () => {
+              hideLoading();
+              showToast(mode === 'remove' ? 'Area removed successfully' : 'Area restored successfully', 'success');
+            });
+          })
+          .catch(error => {
+            console.error('Magic brush error:', error);
             hideLoading();
-            showToast('Background removed successfully', 'success');
-          }, null, {
-            crossOrigin: 'anonymous'
+            showToast('Failed to process the brush action', 'error');
+            
+            // Clear paths
+            const paths = canvas.getObjects('path');
+            paths.forEach(path => canvas.remove(path));
+            canvas.renderAll();
           });
-        };
-        
-        img.onerror = function() {
-          hideLoading();
-          showToast('Failed to process image', 'error');
-        };
-      } catch (error) {
-        console.error('Background removal error:', error);
-        hideLoading();
-        showToast('Failed to remove background', 'error');
-      }
-    }, 500);
+      }, 500);
+    });
   }
   
-  // Production-ready background removal algorithm
-  function removeBackgroundPro(imageData, width, height) {
-    const data = imageData.data;
-    
-    // Step 1: Create a binary mask for the image
-    const mask = createInitialMask(data, width, height);
-    
-    // Step 2: Apply GrabCut-inspired segmentation
-    refineSegmentation(mask, data, width, height);
-    
-    // Step 3: Apply the mask to the image
-    applyMaskToImage(mask, data, width, height);
+  // Set hint mode: "keep" and "discard" strokes seed the next background removal
+  function setHintMode(mode) {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
     
-    // Step 4: Post-process the result
-    postProcessResult(data, width, height);
-  }
-  
-  // Create initial mask using color-based segmentation
-  function createInitialMask(data, width, height) {
-    const totalPixels = width * height;
-    const mask = new Uint8Array(totalPixels);
+    // Toggle drawing mode if clicking the same button
+    if (isDrawingMode && brushMode === mode) {
+      exitDrawingMode();
+      showToast('Hint marking disabled', 'info');
+      return;
+    }
     
-    // First pass: Mark edges as background
-    const edgeWidth = Math.max(10, Math.floor(Math.min(width, height) * 0.03));
+    enterDrawingMode(mode);
     
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = (y * width + x);
-        
-        // Mark edges as definite background (0)
-        if (x < edgeWidth || x >= width - edgeWidth || 
-            y < edgeWidth || y >= height - edgeWidth) {
-          mask[idx] = 0; // Definite background
-        } else {
-          mask[idx] = 2; // Probable foreground
-        }
-      }
+    if (mode === 'keep') {
+      canvas.freeDrawingBrush.color = 'rgba(0, 200, 83, 0.6)';
+      hintKeepBtn.classList.add('primary');
+      showToast('Click or scribble on the subject to keep it', 'info');
+    } else {
+      canvas.freeDrawingBrush.color = 'rgba(255, 61, 0, 0.6)';
+      hintDiscardBtn.classList.add('primary');
+      showToast('Click or scribble on the background to discard it', 'info');
     }
     
-    // Second pass: Detect likely background based on color similarity to edges
-    const edgeColors = sampleEdgeColors(data, width, height, edgeWidth);
-    
-    for (let i = 0; i < totalPixels; i++) {
-      if (mask[i] === 0) continue; // Skip already marked background
+    // Record each stroke (or click) in the hint map when the mouse is released
+    canvas.off('mouse:up'); // Remove previous listeners
+    canvas.on('mouse:up', function(opt) {
+      if (!isDrawingMode) return;
       
-      const pixelIdx = i * 4;
-      const pixelColor = {
-        r: data[pixelIdx],
-        g: data[pixelIdx + 1],
-        b: data[pixelIdx + 2]
-      };
+      const mainImage = canvas.item(0);
+      if (!mainImage) return;
       
-      // Check if pixel is similar to edge colors
-      for (const edgeColor of edgeColors) {
-        const colorDistance = getColorDistance(pixelColor, edgeColor);
-        if (colorDistance < 30) {
-          mask[i] = 0; // Mark as background
-          break;
-        }
+      let marks = canvas.getObjects('path');
+      
+      // A click without movement draws no path; mark a dot instead
+      if (marks.length === 0) {
+        const pointer = canvas.getPointer(opt.e);
+        marks = [new fabric.Circle({
+          left: pointer.x,
+          top: pointer.y,
+          radius: canvas.freeDrawingBrush.width / 2,
+          originX: 'center',
+          originY: 'center',
+          fill: canvas.freeDrawingBrush.color
+        })];
       }
+      
+      const imgObj = images[currentImageIndex];
+      
+      getSourceData(imgObj)
+        .then(({ width, height }) => {
+          const hints = imgObj.hints ? new Uint8Array(imgObj.hints) : new Uint8Array(width * height);
+          const value = mode === 'keep' ? HINT_KEEP : HINT_DISCARD;
+          let changed = false;
+          
+          marks.forEach(mark => {
+            const coverage = rasterizeObject(mark, mainImage, width, height);
+            for (let i = 0; i < coverage.length; i++) {
+              if (coverage[i] >= 128 && hints[i] !== value) {
+                hints[i] = value;
+                changed = true;
+              }
+            }
+          });
+          
+          if (!changed) {
+            // The stroke missed the image
+            canvas.getObjects('path').forEach(path => canvas.remove(path));
+            canvas.renderAll();
+            return;
+          }
+          
+          updateEditedImage(imgObj, mode === 'keep' ? 'Mark keep' : 'Mark discard', { hints });
+        })
+        .catch(error => {
+          console.error('Hint error:', error);
+          showToast('Failed to record the hint', 'error');
+        });
+    });
+  }
+  
+  // Remove all keep/discard hints from the current image
+  function clearHints() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
     }
     
-    // Third pass: Detect clothing and text
-    detectClothingAndText(mask, data, width, height);
+    const imgObj = images[currentImageIndex];
+    if (!imgObj.hints) {
+      showToast('No hints to clear', 'info');
+      return;
+    }
     
-    return mask;
+    updateEditedImage(imgObj, 'Clear hints', { hints: null }, () => {
+      showToast('Hints cleared', 'success');
+    });
   }
   
-  // Sample colors from the edges of the image
-  function sampleEdgeColors(data, width, height, edgeWidth) {
-    const edgeColors = [];
-    const sampleStep = Math.max(1, Math.floor(Math.min(width, height) / 30));
-    
-    // Sample top and bottom edges
-    for (let x = 0; x < width; x += sampleStep) {
-      // Top edge
-      for (let y = 0; y < edgeWidth; y += sampleStep) {
-        const idx = (y * width + x) * 4;
-        edgeColors.push({
-          r: data[idx],
-          g: data[idx + 1],
-          b: data[idx + 2]
-        });
-      }
-      
-      // Bottom edge
-      for (let y = height - edgeWidth; y < height; y += sampleStep) {
-        const idx = (y * width + x) * 4;
-        edgeColors.push({
-          r: data[idx],
-          g: data[idx + 1],
-          b: data[idx + 2]
-        });
-      }
+  // Box selection mode: drag a rectangle around the subject to run GrabCut
+  function setBoxSelectMode() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
     }
     
-    // Sample left and right edges
-    for (let y = edgeWidth; y < height - edgeWidth; y += sampleStep) {
-      // Left edge
-      for (let x = 0; x < edgeWidth; x += sampleStep) {
-        const idx = (y * width + x) * 4;
-        edgeColors.push({
-          r: data[idx],
-          g: data[idx + 1],
-          b: data[idx + 2]
-        });
-      }
-      
-      // Right edge
-      for (let x = width - edgeWidth; x < width; x += sampleStep) {
-        const idx = (y * width + x) * 4;
-        edgeColors.push({
-          r: data[idx],
-          g: data[idx + 1],
-          b: data[idx + 2]
-        });
-      }
+    if (isDrawingMode && brushMode === 'box') {
+      exitDrawingMode();
+      showToast('Box selection disabled', 'info');
+      return;
     }
     
-    // Cluster the edge colors to find dominant colors
-    return clusterColors(edgeColors, 30);
-  }
-  
-  // Cluster colors to find dominant colors
-  function clusterColors(colors, threshold = 25, maxClusters = 5) {
-    if (colors.length === 0) return [];
+    // Dragging draws the box instead of moving the image
+    enterClickMode('box');
+    grabCutBtn.classList.add('primary');
+    showToast('Drag a box around the subject', 'info');
     
-    const clusters = [];
+    let box = null;
+    let start = null;
     
-    for (const color of colors) {
-      let foundCluster = false;
-      
-      for (const cluster of clusters) {
-        const distance = getColorDistance(color, cluster.center);
-        if (distance < threshold) {
-          // Add to existing cluster
-          cluster.colors.push(color);
-          cluster.count++;
-          
-          // Update center (average)
-          cluster.center = {
-            r: Math.round((cluster.center.r * (cluster.count - 1) + color.r) / cluster.count),
-            g: Math.round((cluster.center.g * (cluster.count - 1) + color.g) / cluster.count),
-            b: Math.round((cluster.center.b * (cluster.count - 1) + color.b) / cluster.count)
-          };
-          
-          foundCluster = true;
-          break;
-        }
-      }
+    canvas.on('mouse:down', function(opt) {
+      if (!isDrawingMode || brushMode !== 'box') return;
       
-      if (!foundCluster) {
-        // Create new cluster
-        clusters.push({
-          center: { ...color },
-          colors: [color],
-          count: 1
-        });
-      }
-    }
+      start = canvas.getPointer(opt.e);
+      box = new fabric.Rect({
+        left: start.x,
+        top: start.y,
+        width: 0,
+        height: 0,
+        fill: 'rgba(52, 152, 219, 0.15)',
+        stroke: '#3498db',
+        strokeWidth: 2,
+        strokeDashArray: [6, 4],
+        selectable: false,
+        evented: false,
+        isOverlay: true
+      });
+      canvas.add(box);
+    });
     
-    // Sort clusters by count (descending)
-    clusters.sort((a, b) => b.count - a.count);
+    canvas.on('mouse:move', function(opt) {
+      if (!box) return;
+      
+      const pointer = canvas.getPointer(opt.e);
+      box.set({
+        left: Math.min(start.x, pointer.x),
+        top: Math.min(start.y, pointer.y),
+        width: Math.abs(pointer.x - start.x),
+        height: Math.abs(pointer.y - start.y)
+      });
+      canvas.renderAll();
+    });
     
-    // Return centers of the top clusters
-    return clusters.slice(0, maxClusters).map(cluster => cluster.center);
+    canvas.on('mouse:up', function() {
+      if (!box) return;
+      
+      const mainImage = canvas.item(0);
+      const corners = [
+        new fabric.Point(box.left, box.top),
+        new fabric.Point(box.left + box.width, box.top + box.height)
+      ];
+      box = null;
+      
+      exitDrawingMode();
+      if (!mainImage) return;
+      
+      // Map the box from preview to image pixels
+      const transform = getCanvasToImageTransform(mainImage);
+      const [topLeft, bottomRight] = corners.map(point => fabric.util.transformPoint(point, transform));
+      const imgObj = images[currentImageIndex];
+      
+      getSourceData(imgObj).then(({ width, height }) => {
+        const left = Math.max(0, Math.min(width, topLeft.x));
+        const top = Math.max(0, Math.min(height, topLeft.y));
+        const right = Math.max(0, Math.min(width, bottomRight.x));
+        const bottom = Math.max(0, Math.min(height, bottomRight.y));
+        
+        if (right - left < 4 || bottom - top < 4) {
+          showToast('Drag a larger box over the image', 'error');
+          return;
+        }
+        
+        runGrabCut(imgObj, { x: left, y: top, width: right - left, height: bottom - top });
+      });
+    });
+  }
+  
+  // Segment the subject inside a box (in image pixels) with GrabCut
+  function runGrabCut(imgObj, rect) {
+    const controller = new AbortController();
+    
+    showLoading('Selecting subject...', () => controller.abort());
+    
+    getSourceData(imgObj)
+      .then(sourceData => grabCutImage(sourceData, {
+        rect,
+        hints: imgObj.hints,
+        iterations: settings.grabcut.iterations,
+        signal: controller.signal,
+        onProgress: (stage, progress) => {
+          updateLoading(`Selecting subject: ${stage} (${Math.round(progress * 100)}%)`);
+        }
+      }))
+      .then(mask => {
+        updateEditedImage(imgObj, 'Box selection', { mask }, () => {
+          hideLoading();
+          showToast('Subject selected', 'success');
+        });
+      })
+      .catch(error => {
+        hideLoading();
+        if (error.name === 'AbortError') {
+          showToast('Box selection cancelled', 'info');
+          return;
+        }
+        console.error('GrabCut error:', error);
+        showToast('Failed to select the subject', 'error');
+      });
+  }
+  
+  // Start a canvas drawing mode ('remove', 'restore', 'refine', 'keep',
+  // 'discard', 'box', 'wand', 'lasso' or 'subject')
+  function enterDrawingMode(mode) {
+    const wasPositioning = isSubjectMode();
+    brushMode = mode;
+    isDrawingMode = true;
+    canvas.isDrawingMode = true;
+    canvas.selection = true;
+    canvas.skipTargetFind = false;
+    lasso = null;
+    drawingButtons.forEach(btn => btn.classList.remove('primary'));
+    refreshOverlays();
+    updateBrush();
+    
+    // Put the subject back into the flattened preview
+    if (wasPositioning) renderCurrentImage();
+  }
+  
+  // Leave whichever drawing mode is active
+  function exitDrawingMode() {
+    const wasPositioning = isSubjectMode();
+    isDrawingMode = false;
+    canvas.isDrawingMode = false;
+    canvas.selection = true;
+    canvas.skipTargetFind = false;
+    lasso = null;
+    subjectLayer = null;
+    drawingButtons.forEach(btn => btn.classList.remove('primary'));
+    refreshOverlays();
+    brushCursor.classList.add('hidden');
+    
+    if (wasPositioning && currentImageIndex !== -1) renderCurrentImage();
+  }
+  
+  // Start a click tool ('box', 'wand', 'lasso' or 'subject'): clicks and drags
+  // go to the tool instead of drawing or moving the image
+  function enterClickMode(mode) {
+    enterDrawingMode(mode);
+    canvas.isDrawingMode = false;
+    canvas.selection = false;
+    canvas.skipTargetFind = true;
+    
+    canvas.off('mouse:down');
+    canvas.off('mouse:move');
+    canvas.off('mouse:up');
+    canvas.off('mouse:dblclick');
+    canvas.off('object:modified'); // Remove previous listeners
   }
   
-  // Calculate Euclidean distance between two colors
-  function getColorDistance(color1, color2) {
-    const rDiff = color1.r - color2.r;
-    const gDiff = color1.g - color2.g;
-    const bDiff = color1.b - color2.b;
+  // Brush controls (size, hardness, opacity), stored with the settings
+  function initBrushControls() {
+    brushControls.forEach(control => {
+      control.value = settings.brush[control.dataset.brush];
+      control.addEventListener('input', () => {
+        settings.brush[control.dataset.brush] = Number(control.value);
+        updateBrush();
+      });
+      control.addEventListener('change', () => saveSettings(settings));
+    });
+    
+    canvas.freeDrawingCursor = 'none';
+    canvas.upperCanvasEl.addEventListener('pointermove', moveBrushCursor);
+    canvas.upperCanvasEl.addEventListener('pointerleave', () => brushCursor.classList.add('hidden'));
     
-    return Math.sqrt(rDiff * rDiff + gDiff * gDiff + bDiff * bDiff);
+    updateBrush();
+  }
+  
+  // Change the brush size by a factor, for the [ and ] shortcuts
+  function resizeBrush(factor) {
+    const size = settings.brush.size;
+    const next = factor > 1 ? Math.max(size + 1, Math.round(size * factor)) : Math.min(size - 1, Math.round(size * factor));
+    settings.brush.size = Math.max(1, Math.min(200, next));
+    
+    brushControls.forEach(control => {
+      if (control.dataset.brush === 'size') control.value = settings.brush.size;
+    });
+    updateBrush();
+    saveSettings(settings);
   }
   
-  // Detect clothing and text in the image
-  function detectClothingAndText(mask, data, width, height) {
-    const totalPixels = width * height;
+  // Apply the brush settings to the drawing brush, labels and cursor
+  function updateBrush() {
+    canvas.freeDrawingBrush.width = settings.brush.size;
     
-    // Detect high contrast areas (likely text)
-    for (let y = 1; y < height - 1; y++) {
-      for (let x = 1; x < width - 1; x++) {
-        const i = y * width + x;
-        if (mask[i] === 0) continue; // Skip background
-        
-        const idx = i * 4;
-        const centerColor = {
-          r: data[idx],
-          g: data[idx + 1],
-          b: data[idx + 2]
-        };
-        
-        // Check contrast with neighbors
-        let highContrast = false;
-        
-        // Check 8-connected neighbors
-        for (let dy = -1; dy <= 1 && !highContrast; dy++) {
-          for (let dx = -1; dx <= 1; dx++) {
-            if (dx === 0 && dy === 0) continue;
-            
-            const nx = x + dx;
-            const ny = y + dy;
-            
-            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-            
-            const ni = ny * width + nx;
-            const nidx = ni * 4;
-            
-            const neighborColor = {
-              r: data[nidx],
-              g: data[nidx + 1],
-              b: data[nidx + 2]
-            };
-            
-            const contrast = getColorDistance(centerColor, neighborColor);
-            if (contrast > 60) { // High contrast threshold
-              highContrast = true;
-              break;
-            }
-          }
-        }
-        
-        if (highContrast) {
-          mask[i] = 3; // Definite foreground (text)
-          
-          // Mark surrounding pixels as probable foreground
-          for (let dy = -2; dy <= 2; dy++) {
-            for (let dx = -2; dx <= 2; dx++) {
-              if (dx === 0 && dy === 0) continue;
-              
-              const nx = x + dx;
-              const ny = y + dy;
-              
-              if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-              
-              const ni = ny * width + nx;
-              if (mask[ni] !== 3) { // Don't downgrade definite foreground
-                mask[ni] = 2; // Probable foreground
-              }
-            }
-          }
-        }
-      }
-    }
+    document.querySelectorAll('[data-brush-value]').forEach(output => {
+      const key = output.dataset.brushValue;
+      output.textContent = key === 'size' ? `${settings.brush.size}px` : `${settings.brush[key]}%`;
+    });
     
-    // Detect uniform color regions (likely clothing)
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const i = y * width + x;
-        if (mask[i] === 0 || mask[i] === 3) continue; // Skip background and text
-        
-        if (isPartOfUniformRegion(data, x, y, width, height)) {
-          mask[i] = 3; // Definite foreground (clothing)
-        }
-      }
+    // The cursor shows the footprint on screen, whatever the canvas's CSS size
+    const diameter = settings.brush.size * canvas.getZoom() * getScreenScale();
+    brushCursor.style.width = `${diameter}px`;
+    brushCursor.style.height = `${diameter}px`;
+    
+    // Hints and the refine brush are always hard
+    const softness = brushMode === 'remove' || brushMode === 'restore' ? 1 - settings.brush.hardness / 100 : 0;
+    const core = diameter * Math.max(0, 1 - softness);
+    brushCursorCore.style.width = `${core}px`;
+    brushCursorCore.style.height = `${core}px`;
+  }
+  
+  function moveBrushCursor(e) {
+    // Click tools have no footprint, and panning shows a hand instead
+    if (!isDrawingMode || !canvas.isDrawingMode || isSpaceHeld) {
+      brushCursor.classList.add('hidden');
+      return;
     }
     
-    // Connect foreground regions
-    connectForegroundRegions(mask, width, height);
+    if (brushCursor.classList.contains('hidden')) {
+      brushCursor.classList.remove('hidden');
+      updateBrush();
+    }
+    brushCursor.style.left = `${e.clientX}px`;
+    brushCursor.style.top = `${e.clientY}px`;
   }
   
-  // Check if pixel is part of a uniform color region
-  function isPartOfUniformRegion(data, x, y, width, height) {
-    const idx = (y * width + x) * 4;
-    const centerColor = {
-      r: data[idx],
-      g: data[idx + 1],
-      b: data[idx + 2]
-    };
+  function isHintMode() {
+    return isDrawingMode && (brushMode === 'keep' || brushMode === 'discard');
+  }
+  
+  function isSubjectMode() {
+    return isDrawingMode && brushMode === 'subject';
+  }
+  
+  // Draw helper layers (the hint map and the selection) over the main image
+  function updateOverlays(mainImage) {
+    const imgObj = images[currentImageIndex];
+    if (!mainImage || !imgObj) return;
     
-    const radius = 5;
-    let similarCount = 0;
-    let totalChecked = 0;
+    if (isHintMode() && imgObj.hints) {
+      addOverlay(createHintOverlay(imgObj.hints, imgObj.width, imgObj.height), mainImage);
+    }
+    if (currentSelection) {
+      addOverlay(createSelectionOverlay(currentSelection, imgObj.width, imgObj.height), mainImage);
+    }
+    if (isSubjectMode() && subjectLayer && imgObj.effects.background) {
+      addSubjectOverlay(imgObj.effects.background.subject, mainImage);
+    }
+  }
+  
+  // Add the cut-out subject as an object that can be moved and scaled
+  function addSubjectOverlay({ x, y, scale }, mainImage) {
+    const center = fabric.util.transformPoint(
+      new fabric.Point(mainImage.width / 2 + x, mainImage.height / 2 + y),
+      getImageToCanvasTransform(mainImage)
+    );
+    
+    mainImage.set({ selectable: false, evented: false });
+    
+    const subject = new fabric.Image(subjectLayer, {
+      left: center.x,
+      top: center.y,
+      originX: 'center',
+      originY: 'center',
+      scaleX: mainImage.scaleX * scale,
+      scaleY: mainImage.scaleY * scale,
+      lockRotation: true,
+      lockScalingFlip: true,
+      borderColor: '#4a6bff',
+      cornerColor: '#4a6bff',
+      transparentCorners: false,
+      isOverlay: true
+    });
     
-    for (let dy = -radius; dy <= radius; dy++) {
-      for (let dx = -radius; dx <= radius; dx++) {
-        if (dx === 0 && dy === 0) continue;
-        
-        const nx = x + dx;
-        const ny = y + dy;
-        
-        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-        
-        const nidx = (ny * width + nx) * 4;
-        totalChecked++;
-        
-        const neighborColor = {
-          r: data[nidx],
-          g: data[nidx + 1],
-          b: data[nidx + 2]
-        };
-        
-        const colorDistance = getColorDistance(centerColor, neighborColor);
-        if (colorDistance < 20) { // Similar color threshold
-          similarCount++;
-        }
+    // Corner handles only, so the subject keeps its proportions
+    subject.setControlsVisibility({ mt: false, mb: false, ml: false, mr: false, mtr: false });
+    canvas.add(subject);
+    canvas.setActiveObject(subject);
+  }
+  
+  // Rebuild the overlays after the state they show has changed
+  function refreshOverlays() {
+    removeOverlays();
+    updateOverlays(canvas.item(0));
+    canvas.renderAll();
+  }
+  
+  // Add a canvas as a non-interactive layer aligned with the main image
+  function addOverlay(element, mainImage) {
+    canvas.add(new fabric.Image(element, {
+      left: mainImage.left,
+      top: mainImage.top,
+      originX: mainImage.originX,
+      originY: mainImage.originY,
+      scaleX: mainImage.scaleX,
+      scaleY: mainImage.scaleY,
+      selectable: false,
+      evented: false,
+      isOverlay: true
+    }));
+  }
+  
+  function removeOverlays() {
+    canvas.getObjects()
+      .filter(obj => obj.isOverlay)
+      .forEach(obj => canvas.remove(obj));
+  }
+  
+  // Paint keep hints green and discard hints red
+  function createHintOverlay(hints, width, height) {
+    const overlay = createCanvas(width, height);
+    const ctx = overlay.getContext('2d');
+    const pixels = ctx.createImageData(width, height);
+    const data = pixels.data;
+    
+    for (let i = 0; i < hints.length; i++) {
+      if (hints[i] === HINT_NONE) continue;
+      
+      const idx = i * 4;
+      if (hints[i] === HINT_KEEP) {
+        data[idx + 1] = 200;
+        data[idx + 2] = 83;
+      } else {
+        data[idx] = 255;
+        data[idx + 1] = 61;
       }
+      data[idx + 3] = 140;
     }
     
-    // If more than 75% of neighbors have similar color, it's a uniform region
-    return totalChecked > 0 && similarCount / totalChecked > 0.75;
+    ctx.putImageData(pixels, 0, 0);
+    return overlay;
   }
   
-  // Connect foreground regions to avoid holes
-  function connectForegroundRegions(mask, width, height) {
-    const tempMask = new Uint8Array(mask);
+  // Tint the selection blue, with a solid outline along its edge
+  function createSelectionOverlay(selection, width, height) {
+    const overlay = createCanvas(width, height);
+    const ctx = overlay.getContext('2d');
+    const pixels = ctx.createImageData(width, height);
+    const data = pixels.data;
     
-    // Dilate definite foreground
-    for (let y = 1; y < height - 1; y++) {
-      for (let x = 1; x < width - 1; x++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
         const i = y * width + x;
+        if (selection[i] < 128) continue;
         
-        if (tempMask[i] !== 3) continue; // Only dilate definite foreground
+        const isEdge = x === 0 || x === width - 1 || y === 0 || y === height - 1 ||
+          selection[i - 1] < 128 || selection[i + 1] < 128 ||
+          selection[i - width] < 128 || selection[i + width] < 128;
         
-        // Mark 4-connected neighbors as foreground
-        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
-          const nx = x + dx;
-          const ny = y + dy;
-          
-          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-          
-          const ni = ny * width + nx;
-          if (tempMask[ni] !== 0) { // Don't convert definite background
-            mask[ni] = 2; // Probable foreground
-          }
-        }
+        const idx = i * 4;
+        data[idx] = 52;
+        data[idx + 1] = 152;
+        data[idx + 2] = 219;
+        data[idx + 3] = isEdge ? 255 : selection[i] * 0.35;
       }
     }
     
-    // Fill holes in foreground
-    fillHoles(mask, width, height);
+    ctx.putImageData(pixels, 0, 0);
+    return overlay;
+  }
+  
+  // Rasterize a fabric object drawn on the preview into per-pixel coverage
+  // (0-255) on the image's native pixel grid.
+  // Options:
+  //   strokeWidth - draw with this stroke width instead of the object's own
+  //   blur - Gaussian blur radius in image pixels, for soft edges
+  function rasterizeObject(obj, mainImage, width, height, { strokeWidth = obj.strokeWidth, blur = 0 } = {}) {
+    const rasterCanvas = createCanvas(width, height);
+    let ctx = rasterCanvas.getContext('2d');
+    ctx.setTransform(...getCanvasToImageTransform(mainImage));
+    
+    // Draw opaque and uncached, so coverage does not depend on the on-screen
+    // colour or on a cache bitmap made at preview resolution
+    const { stroke, fill, opacity, objectCaching } = obj;
+    const originalStrokeWidth = obj.strokeWidth;
+    obj.set({
+      stroke: stroke ? '#000' : null,
+      fill: fill ? '#000' : null,
+      opacity: 1,
+      objectCaching: false,
+      strokeWidth
+    });
+    obj.render(ctx);
+    obj.set({ stroke, fill, opacity, objectCaching, strokeWidth: originalStrokeWidth });
+    
+    if (blur > 0) {
+      const blurredCanvas = createCanvas(width, height);
+      ctx = blurredCanvas.getContext('2d');
+      ctx.filter = `blur(${blur}px)`;
+      ctx.drawImage(rasterCanvas, 0, 0);
+    }
+    
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const coverage = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < coverage.length; i++) {
+      coverage[i] = data[i * 4 + 3];
+    }
+    return coverage;
+  }
+  
+  // Transform (as a 2D context matrix) from preview canvas coordinates
+  // to the pixel coordinates of the displayed image object
+  function getCanvasToImageTransform(imageObj) {
+    const inverse = fabric.util.invertTransform(imageObj.calcTransformMatrix());
+    return fabric.util.multiplyTransformMatrices(
+      [1, 0, 0, 1, imageObj.width / 2, imageObj.height / 2],
+      inverse
+    );
+  }
+  
+  // Transform from the pixel coordinates of the displayed image object to
+  // preview canvas coordinates
+  function getImageToCanvasTransform(imageObj) {
+    return fabric.util.multiplyTransformMatrices(
+      imageObj.calcTransformMatrix(),
+      [1, 0, 0, 1, -imageObj.width / 2, -imageObj.height / 2]
+    );
   }
   
-  // Fill small holes in the foreground
-  function fillHoles(mask, width, height) {
-    const totalPixels = width * height;
-    const visited = new Uint8Array(totalPixels);
+  // Magic wand: click to select contiguous pixels of a similar colour
+  function setMagicWandMode() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
+    
+    if (isDrawingMode && brushMode === 'wand') {
+      exitDrawingMode();
+      showToast('Magic wand disabled', 'info');
+      return;
+    }
     
-    // Find connected background regions
-    for (let i = 0; i < totalPixels; i++) {
-      if (visited[i] || mask[i] !== 0) continue;
+    enterClickMode('wand');
+    magicWandBtn.classList.add('primary');
+    showToast('Click to select similar colours - Shift adds, Alt subtracts', 'info');
+    
+    canvas.on('mouse:down', function(opt) {
+      if (!isDrawingMode || brushMode !== 'wand') return;
       
-      const region = [];
-      const queue = [i];
-      visited[i] = 1;
+      const mainImage = canvas.item(0);
+      if (!mainImage) return;
       
-      let touchesEdge = false;
+      const point = fabric.util.transformPoint(canvas.getPointer(opt.e), getCanvasToImageTransform(mainImage));
+      const imgObj = images[currentImageIndex];
       
-      while (queue.length > 0) {
-        const current = queue.shift();
-        region.push(current);
-        
-        const x = current % width;
-        const y = Math.floor(current / width);
-        
-        // Check if region touches the edge
-        if (x === 0 || x === width - 1 || y === 0 || y === height - 1) {
-          touchesEdge = true;
-        }
-        
-        // Check 4-connected neighbors
-        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
-          const nx = x + dx;
-          const ny = y + dy;
-          
-          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+      getSourceData(imgObj)
+        .then(sourceData => {
+          const x = Math.floor(point.x);
+          const y = Math.floor(point.y);
+          if (x < 0 || x >= sourceData.width || y < 0 || y >= sourceData.height) return;
           
-          const ni = ny * width + nx;
-          
-          if (!visited[ni] && mask[ni] === 0) {
-            visited[ni] = 1;
-            queue.push(ni);
-          }
-        }
-      }
-      
-      // If region doesn't touch the edge and is small, fill it
-      if (!touchesEdge && region.length < 1000) {
-        for (const idx of region) {
-          mask[idx] = 2; // Convert to probable foreground
-        }
-      }
-    }
+          const selection = magicWandSelect(sourceData, x, y, settings.selection.tolerance, settings.colorSpace);
+          updateSelection(imgObj, selection, opt.e);
+        })
+        .catch(error => {
+          console.error('Magic wand error:', error);
+          showToast('Failed to make the selection', 'error');
+        });
+    });
   }
   
-  // Refine segmentation using GrabCut-inspired approach
-  function refineSegmentation(mask, data, width, height) {
-    const totalPixels = width * height;
-    
-    // Build color models for foreground and background
-    const fgColors = [];
-    const bgColors = [];
+  // Magnetic lasso: click points around the subject; the outline between
+  // them snaps to the strongest nearby edges
+  function setMagneticLassoMode() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
     
-    for (let i = 0; i < totalPixels; i++) {
-      const pixelIdx = i * 4;
-      const color = {
-        r: data[pixelIdx],
-        g: data[pixelIdx + 1],
-        b: data[pixelIdx + 2]
-      };
-      
-      if (mask[i] === 3) { // Definite foreground
-        fgColors.push(color);
-      } else if (mask[i] === 0) { // Definite background
-        bgColors.push(color);
-      }
+    if (isDrawingMode && brushMode === 'lasso') {
+      exitDrawingMode();
+      showToast('Magnetic lasso disabled', 'info');
+      return;
     }
     
-    // Cluster foreground and background colors
-    const fgClusters = clusterColors(fgColors, 25, 10);
-    const bgClusters = clusterColors(bgColors, 25, 10);
+    enterClickMode('lasso');
+    magneticLassoBtn.classList.add('primary');
+    showToast('Click around the subject - double-click, Enter or click the first point to close', 'info');
+    
+    const imgObj = images[currentImageIndex];
+    const state = { imgObj, costMap: null, anchors: [], path: [], livePath: [], line: null, frame: 0, modifiers: null };
+    lasso = state;
+    
+    getSourceData(imgObj)
+      .then(sourceData => {
+        state.costMap = createEdgeCostMap(sourceData);
+      })
+      .catch(error => {
+        console.error('Magnetic lasso error:', error);
+        showToast('Failed to start the magnetic lasso', 'error');
+      });
     
-    // Refine probable regions based on color models
-    for (let i = 0; i < totalPixels; i++) {
-      if (mask[i] !== 2) continue; // Only process probable regions
+    canvas.on('mouse:down', function(opt) {
+      if (lasso !== state || !state.costMap) return;
       
-      const pixelIdx = i * 4;
-      const color = {
-        r: data[pixelIdx],
-        g: data[pixelIdx + 1],
-        b: data[pixelIdx + 2]
-      };
-      
-      // Find distance to nearest foreground and background cluster
-      let minFgDist = Infinity;
-      let minBgDist = Infinity;
+      const point = toCostMapPoint(canvas.getPointer(opt.e));
+      if (!point) return;
       
-      for (const cluster of fgClusters) {
-        const dist = getColorDistance(color, cluster);
-        minFgDist = Math.min(minFgDist, dist);
+      if (state.anchors.length === 0) {
+        state.anchors.push(point);
+        state.path = [point];
+        state.modifiers = { shiftKey: opt.e.shiftKey, altKey: opt.e.altKey };
+        return;
       }
       
-      for (const cluster of bgClusters) {
-        const dist = getColorDistance(color, cluster);
-        minBgDist = Math.min(minBgDist, dist);
+      // Clicking close to the first point closes the outline
+      const first = toCanvasPoint(state.anchors[0]);
+      const pointer = canvas.getPointer(opt.e);
+      if (state.anchors.length > 2 && Math.hypot(pointer.x - first.x, pointer.y - first.y) < 8 / canvas.getZoom()) {
+        closeLasso();
+        return;
       }
       
-      // Assign based on color similarity
-      if (minFgDist < minBgDist) {
-        mask[i] = 3; // Definite foreground
-      } else {
-        mask[i] = 0; // Definite background
-      }
-    }
+      const last = state.anchors[state.anchors.length - 1];
+      state.path.push(...findEdgePath(state.costMap, last, point).slice(1));
+      state.anchors.push(point);
+      state.livePath = [];
+      drawLassoLine();
+    });
+    
+    // Follow the pointer with the snapped path, once per frame
+    canvas.on('mouse:move', function(opt) {
+      if (lasso !== state || state.anchors.length === 0) return;
+      
+      state.pointer = canvas.getPointer(opt.e);
+      if (state.frame) return;
+      
+      state.frame = requestAnimationFrame(() => {
+        state.frame = 0;
+        if (lasso !== state || state.anchors.length === 0) return;
+        
+        const point = toCostMapPoint(state.pointer);
+        if (!point) return;
+        
+        state.livePath = findEdgePath(state.costMap, state.anchors[state.anchors.length - 1], point);
+        drawLassoLine();
+      });
+    });
     
-    // Apply spatial coherence
-    applySpatialCoherence(mask, data, width, height);
+    canvas.on('mouse:dblclick', function() {
+      if (lasso === state) closeLasso();
+    });
+  }
+  
+  // Preview point to a point on the lasso's cost map, or null off the image
+  function toCostMapPoint(pointer) {
+    const mainImage = canvas.item(0);
+    if (!mainImage) return null;
+    
+    const { costMap } = lasso;
+    const point = fabric.util.transformPoint(pointer, getCanvasToImageTransform(mainImage));
+    const x = Math.floor(point.x * costMap.scale);
+    const y = Math.floor(point.y * costMap.scale);
+    if (x < 0 || x >= costMap.width || y < 0 || y >= costMap.height) return null;
+    
+    return [x, y];
+  }
+  
+  function toCanvasPoint([x, y]) {
+    const scale = lasso.costMap.scale;
+    const point = new fabric.Point((x + 0.5) / scale, (y + 0.5) / scale);
+    return fabric.util.transformPoint(point, getImageToCanvasTransform(canvas.item(0)));
   }
   
-  // Apply spatial coherence to ensure smooth regions
-  function applySpatialCoherence(mask, data, width, height) {
-    const tempMask = new Uint8Array(mask);
+  // Show the outline so far, plus the live segment to the pointer
+  function drawLassoLine() {
+    if (lasso.line) canvas.remove(lasso.line);
+    
+    const points = lasso.path.concat(lasso.livePath.slice(1)).map(toCanvasPoint);
+    lasso.line = new fabric.Polyline(points, {
+      fill: '',
+      stroke: '#3498db',
+      strokeWidth: 2 / canvas.getZoom(),
+      strokeDashArray: [6 / canvas.getZoom(), 4 / canvas.getZoom()],
+      objectCaching: false,
+      selectable: false,
+      evented: false,
+      isOverlay: true
+    });
+    canvas.add(lasso.line);
+    canvas.renderAll();
+  }
+  
+  // Join the outline back to its first point and select what it encloses
+  function closeLasso() {
+    const state = lasso;
+    if (state.anchors.length < 3) {
+      showToast('Place at least three points before closing the lasso', 'info');
+      return;
+    }
     
-    // Smooth the mask using a voting scheme
-    for (let y = 1; y < height - 1; y++) {
-      for (let x = 1; x < width - 1; x++) {
-        const i = y * width + x;
-        
-        // Skip definite foreground and background
-        if (tempMask[i] === 3 || tempMask[i] === 0) continue;
-        
-        let fgCount = 0;
-        let bgCount = 0;
-        
-        // Count foreground and background neighbors
-        for (let dy = -1; dy <= 1; dy++) {
-          for (let dx = -1; dx <= 1; dx++) {
-            if (dx === 0 && dy === 0) continue;
-            
-            const nx = x + dx;
-            const ny = y + dy;
-            
-            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-            
-            const ni = ny * width + nx;
-            
-            if (tempMask[ni] === 3) {
-              fgCount++;
-            } else if (tempMask[ni] === 0) {
-              bgCount++;
-            }
-          }
-        }
-        
-        // Assign based on majority vote
-        if (fgCount > bgCount) {
-          mask[i] = 3; // Foreground
-        } else if (bgCount > fgCount) {
-          mask[i] = 0; // Background
-        } else {
-          // If tied, use color similarity
-          const pixelIdx = i * 4;
-          const color = {
-            r: data[pixelIdx],
-            g: data[pixelIdx + 1],
-            b: data[pixelIdx + 2]
-          };
-          
-          let fgSimilarity = 0;
-          let bgSimilarity = 0;
-          
-          // Calculate color similarity to neighbors
-          for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-              if (dx === 0 && dy === 0) continue;
-              
-              const nx = x + dx;
-              const ny = y + dy;
-              
-              if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-              
-              const ni = ny * width + nx;
-              const nidx = ni * 4;
-              
-              const neighborColor = {
-                r: data[nidx],
-                g: data[nidx + 1],
-                b: data[nidx + 2]
-              };
-              
-              const similarity = 255 - getColorDistance(color, neighborColor);
-              
-              if (tempMask[ni] === 3) {
-                fgSimilarity += similarity;
-              } else if (tempMask[ni] === 0) {
-                bgSimilarity += similarity;
-              }
-            }
-          }
-          
-          if (fgSimilarity > bgSimilarity) {
-            mask[i] = 3; // Foreground
-          } else {
-            mask[i] = 0; // Background
-          }
-        }
-      }
+    const last = state.anchors[state.anchors.length - 1];
+    const outline = state.path.concat(findEdgePath(state.costMap, last, state.anchors[0]).slice(1));
+    const { modifiers, costMap, imgObj } = state;
+    
+    // Start over for the next outline
+    if (state.line) canvas.remove(state.line);
+    Object.assign(state, { anchors: [], path: [], livePath: [], line: null });
+    canvas.renderAll();
+    
+    getSourceData(imgObj)
+      .then(({ width, height }) => {
+        const points = outline.map(([x, y]) => [(x + 0.5) / costMap.scale, (y + 0.5) / costMap.scale]);
+        updateSelection(imgObj, rasterizePolygon(points, width, height), modifiers);
+      })
+      .catch(error => {
+        console.error('Magnetic lasso error:', error);
+        showToast('Failed to make the selection', 'error');
+      });
+  }
+  
+  // Fill a polygon (in image pixels) into per-pixel coverage (0-255)
+  function rasterizePolygon(points, width, height) {
+    const ctx = createCanvas(width, height).getContext('2d');
+    ctx.beginPath();
+    points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.closePath();
+    ctx.fill();
+    
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const coverage = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < coverage.length; i++) {
+      coverage[i] = data[i * 4 + 3];
     }
+    return coverage;
   }
   
-  // Apply the mask to the image
-  function applyMaskToImage(mask, data, width, height) {
-    const totalPixels = width * height;
+  // Replace the current selection, or add to it (Shift) or subtract from it
+  // (Alt) according to the modifier keys held when it was made
+  function updateSelection(imgObj, selection, { shiftKey, altKey }) {
+    if (imgObj !== images[currentImageIndex]) return;
     
-    for (let i = 0; i < totalPixels; i++) {
-      const pixelIdx = i * 4;
-      
-      if (mask[i] === 0) { // Background
-        data[pixelIdx + 3] = 0; // Make transparent
-      }
+    if (currentSelection && (shiftKey || altKey)) {
+      selection = combineSelections(currentSelection, selection, altKey ? 'subtract' : 'add');
     }
+    currentSelection = selection;
+    refreshOverlays();
   }
   
-  // Post-process the result for clean edges
-  function postProcessResult(data, width, height) {
-    const totalPixels = width * height;
-    
-    // Create a binary mask of transparent pixels
-    const transparentMask = new Uint8Array(totalPixels);
-    for (let i = 0; i < totalPixels; i++) {
-      transparentMask[i] = data[i * 4 + 3] === 0 ? 1 : 0;
+  // Check there is a selection to work on, explaining how to make one if not
+  function hasSelection() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return false;
     }
-    
-    // Remove small transparent and opaque regions
-    removeSmallRegions(transparentMask, data, width, height);
-    
-    // Smooth edges
-    smoothEdges(data, width, height);
+    if (!currentSelection) {
+      showToast('Select an area with the magic wand or lasso first', 'info');
+      return false;
+    }
+    return true;
   }
   
-  // Remove small regions for cleaner result
-  function removeSmallRegions(transparentMask, data, width, height) {
-    const totalPixels = width * height;
-    const visited = new Uint8Array(totalPixels);
+  // Make the selected area transparent ('remove') or opaque ('restore')
+  function applySelection(mode) {
+    if (!hasSelection()) return;
     
-    // Find and process small transparent regions
-    for (let i = 0; i < totalPixels; i++) {
-      if (visited[i]) continue;
-      
-      const isTransparent = transparentMask[i] === 1;
-      
-      // Find connected region
-      const region = [];
-      const queue = [i];
-      visited[i] = 1;
-      
-      let touchesEdge = false;
-      
-      while (queue.length > 0) {
-        const current = queue.shift();
-        region.push(current);
-        
-        const x = current % width;
-        const y = Math.floor(current / width);
+    const imgObj = images[currentImageIndex];
+    const selection = currentSelection;
+    
+    getSourceData(imgObj)
+      .then(({ width, height }) => {
+        const mask = cloneMask(imgObj.mask, width, height);
         
-        // Check if region touches the edge
-        if (x === 0 || x === width - 1 || y === 0 || y === height - 1) {
-          touchesEdge = true;
+        // Partly selected pixels (feathered edges) change partly
+        for (let i = 0; i < mask.length; i++) {
+          const amount = selection[i] / 255;
+          mask[i] = mode === 'remove'
+            ? mask[i] * (1 - amount)
+            : mask[i] + (255 - mask[i]) * amount;
         }
         
-        // Check 4-connected neighbors
-        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
-          const nx = x + dx;
-          const ny = y + dy;
-          
-          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-          
-          const ni = ny * width + nx;
-          
-          if (!visited[ni] && transparentMask[ni] === (isTransparent ? 1 : 0)) {
-            visited[ni] = 1;
-            queue.push(ni);
-          }
-        }
-      }
-      
-      // Process small regions
-      const threshold = isTransparent ? 200 : 100; // Different thresholds for transparent and opaque
-      
-      if (!touchesEdge && region.length < threshold) {
-        for (const idx of region) {
-          const pixelIdx = idx * 4;
-          if (isTransparent) {
-            // Small transparent region -> make opaque
-            data[pixelIdx + 3] = 255;
-          } else {
-            // Small opaque region -> make transparent
-            data[pixelIdx + 3] = 0;
-          }
-        }
-      }
-    }
+        updateEditedImage(imgObj, mode === 'remove' ? 'Remove selection' : 'Restore selection', { mask }, () => {
+          showToast(mode === 'remove' ? 'Selection removed' : 'Selection restored', 'success');
+        });
+      })
+      .catch(error => {
+        console.error('Selection error:', error);
+        showToast('Failed to apply the selection', 'error');
+      });
   }
   
-  // Smooth edges for a more natural look
-  function smoothEdges(data, width, height) {
-    const totalPixels = width * height;
-    const tempAlpha = new Uint8Array(totalPixels);
+  function invertCurrentSelection() {
+    if (!hasSelection()) return;
     
-    // Copy alpha channel
-    for (let i = 0; i < totalPixels; i++) {
-      tempAlpha[i] = data[i * 4 + 3];
+    currentSelection = invertSelection(currentSelection);
+    refreshOverlays();
+  }
+  
+  // Soften the selection's edge, like Feather Edges does for the mask
+  function featherSelection() {
+    if (!hasSelection()) return;
+    
+    const imgObj = images[currentImageIndex];
+    
+    getSourceData(imgObj)
+      .then(({ width, height }) => {
+        const radius = Math.max(1, Math.round(2 / getPreviewScale(width, height)));
+        currentSelection = featherMask(currentSelection, width, height, radius);
+        refreshOverlays();
+        showToast('Selection feathered', 'success');
+      })
+      .catch(error => {
+        console.error('Feather selection error:', error);
+        showToast('Failed to feather the selection', 'error');
+      });
+  }
+  
+  function clearSelection() {
+    if (!currentSelection) return;
+    
+    currentSelection = null;
+    refreshOverlays();
+  }
+  
+  function changeWandTolerance() {
+    settings.selection.tolerance = Number(wandTolerance.value);
+    updateWandToleranceLabel();
+  }
+  
+  function updateWandToleranceLabel() {
+    wandToleranceValue.textContent = settings.selection.tolerance;
+  }
+  
+  // Estimate soft alpha along the mask's edges, for hair, fur and sheer
+  // fabric. Without a region the whole edge is refined; with one (from the
+  // refine edge brush) only the marked pixels are. Resolves to whether the
+  // mask was refined.
+  function refineEdges(imgObj = images[currentImageIndex], region = null) {
+    if (!imgObj) {
+      showToast('Please select an image first', 'error');
+      return Promise.resolve(false);
+    }
+    if (!imgObj.mask) {
+      showToast('Remove the background first', 'info');
+      return Promise.resolve(false);
     }
     
-    // Apply box blur to alpha channel at edges
-    const radius = 1;
+    const controller = new AbortController();
+    showLoading('Refining edges...', () => controller.abort());
     
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const i = y * width + x;
-        
-        // Only process edge pixels
-        let isEdge = false;
-        
-        // Check if this pixel is at the edge of transparency
-        for (let dy = -1; dy <= 1 && !isEdge; dy++) {
-          for (let dx = -1; dx <= 1; dx++) {
-            if (dx === 0 && dy === 0) continue;
-            
-            const nx = x + dx;
-            const ny = y + dy;
-            
-            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-            
-            const ni = ny * width + nx;
-            
-            // If neighbor has different transparency, this is an edge
-            if ((tempAlpha[i] === 0 && tempAlpha[ni] > 0) || 
-                (tempAlpha[i] > 0 && tempAlpha[ni] === 0)) {
-              isEdge = true;
-              break;
-            }
-          }
+    return getSourceData(imgObj)
+      .then(sourceData => refineEdgesImage(sourceData, imgObj.mask, {
+        region,
+        bandWidth: settings.matting.bandWidth,
+        signal: controller.signal,
+        onProgress: (stage, progress) => {
+          updateLoading(`Refining edges: ${stage} (${Math.round(progress * 100)}%)`);
         }
+      }))
+      .then(mask => {
+        if (imgObj.hints) applyHintsToAlpha(mask, imgObj.hints);
         
-        // If not an edge pixel, skip
-        if (!isEdge) continue;
-        
-        // Apply blur to edge pixel
-        let sum = 0;
-        let count = 0;
-        
-        for (let dy = -radius; dy <= radius; dy++) {
-          for (let dx = -radius; dx <= radius; dx++) {
-            const nx = x + dx;
-            const ny = y + dy;
-            
-            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-            
-            const ni = ny * width + nx;
-            sum += tempAlpha[ni];
-            count++;
-          }
+        updateEditedImage(imgObj, region ? 'Refine edge brush' : 'Refine edges', { mask }, () => {
+          hideLoading();
+          showToast('Edges refined', 'success');
+        });
+        return true;
+      })
+      .catch(error => {
+        hideLoading();
+        if (error.name === 'AbortError') {
+          showToast('Edge refinement cancelled', 'info');
+          return false;
         }
-        
-        // Update alpha with blurred value
-        data[i * 4 + 3] = Math.round(sum / count);
-      }
-    }
+        console.error('Edge refinement error:', error);
+        showToast('Failed to refine edges', 'error');
+        return false;
+      });
   }
   
-  // Set magic brush mode
-  function setMagicBrushMode(mode) {
+  // Refine edge brush: paint over hair or fur to matte just those areas
+  function setRefineBrushMode() {
     if (currentImageIndex === -1) {
       showToast('Please select an image first', 'error');
       return;
     }
     
-    // Toggle drawing mode if clicking the same button
-    if (isDrawingMode && brushMode === mode) {
-      isDrawingMode = false;
-      canvas.isDrawingMode = false;
-      magicRemoveBtn.classList.remove('primary');
-      magicRestoreBtn.classList.remove('primary');
-      showToast('Magic brush disabled', 'info');
+    if (isDrawingMode && brushMode === 'refine') {
+      exitDrawingMode();
+      showToast('Refine edge brush disabled', 'info');
       return;
     }
     
-    brushMode = mode;
-    isDrawingMode = true;
-    canvas.isDrawingMode = true;
-    
-    // Set brush color based on mode
-    if (mode === 'remove') {
-      canvas.freeDrawingBrush.width = 20;
-      canvas.freeDrawingBrush.color = 'rgba(255, 0, 0, 0.5)';
-      magicRemoveBtn.classList.add('primary');
-      magicRestoreBtn.classList.remove('primary');
-      showToast('Magic Remove Brush activated - Draw over areas to remove', 'info');
-    } else {
-      canvas.freeDrawingBrush.width = 20;
-      canvas.freeDrawingBrush.color = 'rgba(0, 255, 0, 0.5)';
-      magicRemoveBtn.classList.remove('primary');
-      magicRestoreBtn.classList.add('primary');
-      showToast('Magic Restore Brush activated - Draw over areas to restore', 'info');
+    if (!images[currentImageIndex].mask) {
+      showToast('Remove the background first', 'info');
+      return;
     }
     
-    // Process the drawn path when mouse is released
+    enterDrawingMode('refine');
+    canvas.freeDrawingBrush.color = 'rgba(155, 89, 182, 0.5)';
+    refineBrushBtn.classList.add('primary');
+    showToast('Paint over hair, fur or sheer edges to refine them', 'info');
+    
     canvas.off('mouse:up'); // Remove previous listeners
     canvas.on('mouse:up', function() {
       if (!isDrawingMode) return;
       
+      const mainImage = canvas.item(0);
       const paths = canvas.getObjects('path');
-      if (paths.length === 0) return;
+      if (!mainImage || paths.length === 0) return;
       
-      showLoading(mode === 'remove' ? 'Removing area...' : 'Restoring area...');
+      const imgObj = images[currentImageIndex];
+      const clearPaths = () => {
+        paths.forEach(path => canvas.remove(path));
+        canvas.renderAll();
+      };
       
-      setTimeout(() => {
-        try {
-          // Get the current image
-          const mainImage = canvas.item(0);
-          if (!mainImage) {
-            hideLoading();
-            return;
-          }
-          
-          // Create a temporary canvas
-          const tempCanvas = document.createElement('canvas');
-          tempCanvas.width = canvas.width;
-          tempCanvas.height = canvas.height;
-          const tempCtx = tempCanvas.getContext('2d');
-          
-          // Draw the current state
-          tempCtx.drawImage(canvas.toCanvasElement(), 0, 0);
+      getSourceData(imgObj)
+        .then(({ width, height }) => {
+          const region = new Uint8Array(width * height);
+          let marked = false;
           
-          // Get image data
-          const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-          const data = imageData.data;
-          
-          // For each path, process the pixels
           paths.forEach(path => {
-            const pathLeft = path.left;
-            const pathTop = path.top;
-            const pathWidth = path.width;
-            const pathHeight = path.height;
-            
-            // Create a mask canvas for the path
-            const maskCanvas = document.createElement('canvas');
-            maskCanvas.width = tempCanvas.width;
-            maskCanvas.height = tempCanvas.height;
-            const maskCtx = maskCanvas.getContext('2d');
-            
-            // Draw the path on the mask
-            path.clone(function(clonedPath) {
-              maskCtx.fillStyle = 'white';
-              maskCtx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
-              maskCtx.globalCompositeOperation = 'destination-out';
-              clonedPath.set({
-                fill: 'black',
-                stroke: 'black'
-              });
-              maskCtx.drawImage(canvas.toCanvasElement(), 0, 0);
-            });
-            
-            // Get mask data
-            const maskData = maskCtx.getImageData(0, 0, maskCanvas.width, maskCanvas.height).data;
-            
-            // Apply the effect based on the mode
-            if (mode === 'remove') {
-              // Make pixels transparent where the path was drawn
-              for (let i = 0; i < data.length; i += 4) {
-                if (maskData[i + 3] < 128) { // If mask is transparent (path area)
-                  data[i + 3] = 0; // Make pixel transparent
-                }
-              }
-            } else { // restore mode
-              // Restore original image data where the path was drawn
-              const originalImg = new Image();
-              originalImg.src = originalImageData;
-              
-              const origCanvas = document.createElement('canvas');
-              origCanvas.width = tempCanvas.width;
-              origCanvas.height = tempCanvas.height;
-              const origCtx = origCanvas.getContext('2d');
-              
-              origCtx.drawImage(originalImg, 0, 0, origCanvas.width, origCanvas.height);
-              const origData = origCtx.getImageData(0, 0, origCanvas.width, origCanvas.height).data;
-              
-              for (let i = 0; i < data.length; i += 4) {
-                if (maskData[i + 3] < 128) { // If mask is transparent (path area)
-                  data[i] = origData[i]; // R
-                  data[i + 1] = origData[i + 1]; // G
-                  data[i + 2] = origData[i + 2]; // B
-                  data[i + 3] = origData[i + 3]; // A
-                }
+            const coverage = rasterizeObject(path, mainImage, width, height);
+            for (let i = 0; i < coverage.length; i++) {
+              if (coverage[i] >= 128) {
+                region[i] = 1;
+                marked = true;
               }
             }
           });
           
-          // Put the modified image data back
-          tempCtx.putImageData(imageData, 0, 0);
+          if (!marked) {
+            // The stroke missed the image
+            clearPaths();
+            return;
+          }
           
-          // Replace the image on the canvas
-          fabric.Image.fromURL(tempCanvas.toDataURL(), newImg => {
-            canvas.clear();
-            
-            // Scale image to fit canvas
-            const scale = Math.min(
-              canvas.width / newImg.width,
-              canvas.height / newImg.height
-            ) * 0.9;
-            
-            newImg.scale(scale);
-            
-            // Center image
-            newImg.set({
-              left: canvas.width / 2,
-              top: canvas.height / 2,
-              originX: 'center',
-              originY: 'center'
-            });
-            
-            canvas.add(newImg);
-            
-            // Clear paths
-            paths.forEach(path => canvas.remove(path));
-            
-            canvas.renderAll();
-            updateEditedImage();
-            
-            hideLoading();
-            showToast(mode === 'remove' ? 'Area removed successfully' : 'Area restored successfully', 'success');
-          }, null, {
-            crossOrigin: 'anonymous'
+          // A failed or cancelled refinement leaves the preview as it was, so
+          // the strokes have to go or the next stroke would include them
+          return refineEdges(imgObj, region).then(refined => {
+            if (!refined) clearPaths();
           });
-        } catch (error) {
-          console.error('Magic brush error:', error);
+        })
+        .catch(error => {
+          console.error('Refine brush error:', error);
+          showToast('Failed to refine the marked edges', 'error');
+          clearPaths();
+        });
+    });
+  }
+  
+  // Remove background colour spill from semi-transparent edge pixels
+  function defringeEdges() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
+    
+    const imgObj = images[currentImageIndex];
+    if (!imgObj.mask) {
+      showToast('Remove the background first', 'info');
+      return;
+    }
+    
+    const strength = Number(defringeStrength.value) / 100;
+    const effects = { ...imgObj.effects, decontaminate: { strength } };
+    
+    updateEditedImage(imgObj, 'Defringe edges', { effects }, () => {
+      showToast('Edges defringed', 'success');
+    });
+  }
+  
+  // Apply a new strength to the current image's defringing, if it has any
+  function changeDefringeStrength() {
+    updateDefringeStrengthLabel();
+    
+    const imgObj = images[currentImageIndex];
+    if (!imgObj || !imgObj.effects.decontaminate) return;
+    
+    const strength = Number(defringeStrength.value) / 100;
+    const effects = { ...imgObj.effects, decontaminate: { strength } };
+    updateEditedImage(imgObj, 'Defringe strength', { effects });
+  }
+  
+  function updateDefringeStrengthLabel() {
+    defringeStrengthValue.textContent = `${defringeStrength.value}%`;
+  }
+  
+  // Toggle between the defringed edges and the original ones in the preview
+  function toggleDefringeCompare() {
+    const imgObj = images[currentImageIndex];
+    if (!imgObj || !imgObj.effects.decontaminate) {
+      showToast('Defringe the edges first', 'info');
+      return;
+    }
+    
+    setDefringeCompare(!isComparingDefringe);
+    renderCurrentImage(() => {
+      showToast(isComparingDefringe ? 'Showing edges before defringing' : 'Showing defringed edges', 'info');
+    });
+  }
+  
+  function setDefringeCompare(comparing) {
+    isComparingDefringe = comparing;
+    defringeCompareBtn.classList.toggle('primary', comparing);
+  }
+  
+  // Feather the edges of the current mask
+  function featherEdges() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
+    
+    const imgObj = images[currentImageIndex];
+    if (!imgObj.mask) {
+      showToast('Remove the background or an area first', 'info');
+      return;
+    }
+    
+    getSourceData(imgObj)
+      .then(({ width, height }) => {
+        // Feather by about 2 preview pixels, whatever the native resolution
+        const radius = Math.max(1, Math.round(2 / getPreviewScale(width, height)));
+        const mask = featherMask(imgObj.mask, width, height, radius);
+        
+        updateEditedImage(imgObj, 'Feather edges', { mask }, () => {
+          showToast('Edges feathered successfully', 'success');
+        });
+      })
+      .catch(error => {
+        console.error('Feather error:', error);
+        showToast('Failed to feather edges', 'error');
+      });
+  }
+  
+  // The background described by the Replace Background controls
+  function readBackgroundControls() {
+    return {
+      type: bgType.value,
+      color: bgColor.value,
+      color2: bgColor2.value,
+      gradientType: bgGradientType.value,
+      angle: Number(bgAngle.value),
+      image: backdropImage,
+      fit: bgFit.value
+    };
+  }
+  
+  // Show the controls for the chosen background type
+  function updateBackgroundControls() {
+    document.querySelectorAll('[data-bg-show]').forEach(element => {
+      const show = element.dataset.bgShow;
+      const visible = show === 'linear'
+        ? bgType.value === 'gradient' && bgGradientType.value === 'linear'
+        : bgType.value === show;
+      element.classList.toggle('hidden', !visible);
+    });
+    bgAngleValue.textContent = `${bgAngle.value}°`;
+  }
+  
+  // Load an image's background into the controls
+  function syncBackgroundControls(background) {
+    bgType.value = background.type;
+    bgColor.value = background.color;
+    bgColor2.value = background.color2;
+    bgGradientType.value = background.gradientType;
+    bgAngle.value = background.angle;
+    bgFit.value = background.fit;
+    if (background.image) backdropImage = background.image;
+    updateBackgroundControls();
+  }
+  
+  // Put a colour, gradient or image behind the cut-out subject
+  function applyBackground() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
+    
+    const imgObj = images[currentImageIndex];
+    if (!imgObj.mask) {
+      showToast('Remove the background first', 'info');
+      return;
+    }
+    if (bgType.value === 'image' && !backdropImage) {
+      showToast('Choose a backdrop image first', 'info');
+      return;
+    }
+    
+    const previous = imgObj.effects.background;
+    const background = {
+      ...readBackgroundControls(),
+      subject: previous ? previous.subject : { x: 0, y: 0, scale: 1 }
+    };
+    
+    // A replacement background takes the place of a blurred one
+    const { blur, ...effects } = imgObj.effects;
+    
+    updateEditedImage(imgObj, previous ? 'Change background' : 'Replace background', { effects: { ...effects, background } }, () => {
+      if (!previous) showToast('Background replaced', 'success');
+    });
+  }
+  
+  // Control changes update an image that already has a replacement background
+  function changeBackgroundControls() {
+    updateBackgroundControls();
+    
+    const imgObj = images[currentImageIndex];
+    if (imgObj && imgObj.effects.background) applyBackground();
+  }
+  
+  function loadBackdrop(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+    
+    const reader = new FileReader();
+    reader.onload = event => {
+      loadImage(event.target.result)
+        .then(img => {
+          backdropImage = img;
+          bgType.value = 'image';
+          changeBackgroundControls();
+          showToast(`Backdrop: ${file.name}`, 'info');
+        })
+        .catch(error => {
+          console.error('Backdrop error:', error);
+          showToast(`Failed to load ${file.name}`, 'error');
+        });
+    };
+    reader.onerror = () => showToast(`Failed to load ${file.name}`, 'error');
+    reader.readAsDataURL(file);
+  }
+  
+  // Go back to a transparent background
+  function clearBackground() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
+    
+    const imgObj = images[currentImageIndex];
+    if (!imgObj.effects.background) {
+      showToast('No background to clear', 'info');
+      return;
+    }
+    
+    if (isSubjectMode()) exitDrawingMode();
+    
+    const { background, ...effects } = imgObj.effects;
+    updateEditedImage(imgObj, 'Clear background', { effects }, () => {
+      showToast('Background cleared', 'success');
+    });
+  }
+  
+  // Drag the subject over its new background, or drag a corner to scale it
+  function setSubjectMode() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
+    
+    if (isSubjectMode()) {
+      exitDrawingMode();
+      return;
+    }
+    
+    const imgObj = images[currentImageIndex];
+    if (!imgObj.effects.background) {
+      showToast('Replace the background first', 'info');
+      return;
+    }
+    
+    enterClickMode('subject');
+    canvas.skipTargetFind = false;
+    moveSubjectBtn.classList.add('primary');
+    showToast('Drag the subject to move it, or a corner to scale it', 'info');
+    
+    // Record the new placement in image pixels once a drag ends
+    canvas.on('object:modified', function(opt) {
+      const mainImage = canvas.item(0);
+      if (!isSubjectMode() || !mainImage || opt.target === mainImage) return;
+      
+      const center = fabric.util.transformPoint(opt.target.getCenterPoint(), getCanvasToImageTransform(mainImage));
+      const subject = {
+        x: center.x - mainImage.width / 2,
+        y: center.y - mainImage.height / 2,
+        scale: opt.target.scaleX / mainImage.scaleX
+      };
+      const background = { ...imgObj.effects.background, subject };
+      
+      updateEditedImage(imgObj, 'Move subject', { effects: { ...imgObj.effects, background } });
+    });
+    
+    renderCurrentImage();
+  }
+  
+  // Add or update the selected kind of shadow from the shadow controls.
+  // Blur and distance are set as seen in the preview and stored in image
+  // pixels, so the result looks the same at any resolution.
+  function applyShadow() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
+    
+    const imgObj = images[currentImageIndex];
+    const type = SHADOW_TYPES[shadowType.value];
+    if (shadowType.value !== 'drop' && !imgObj.mask) {
+      showToast('Remove the background first', 'info');
+      return;
+    }
+    
+    getSourceData(imgObj)
+      .then(({ width, height }) => {
+        const shadow = createShadowEffect(readShadowControls(), width, height);
+        const previous = imgObj.effects[type.effect];
+        const label = `${previous ? 'Change' : 'Add'} ${type.label.toLowerCase()}`;
+        
+        updateEditedImage(imgObj, label, { effects: { ...imgObj.effects, [type.effect]: shadow } }, () => {
+          if (!previous) showToast(`${type.label} added`, 'success');
+        });
+      })
+      .catch(error => {
+        console.error('Shadow error:', error);
+        showToast('Failed to add the shadow', 'error');
+      });
+  }
+  
+  function removeShadow() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
+    
+    const imgObj = images[currentImageIndex];
+    const type = SHADOW_TYPES[shadowType.value];
+    if (!imgObj.effects[type.effect]) {
+      showToast(`No ${type.label.toLowerCase()} to remove`, 'info');
+      return;
+    }
+    
+    const { [type.effect]: removed, ...effects } = imgObj.effects;
+    updateEditedImage(imgObj, `Remove ${type.label.toLowerCase()}`, { effects }, () => {
+      showToast(`${type.label} removed`, 'success');
+    });
+  }
+  
+  function getShadowControl(key) {
+    return [...shadowControls].find(control => control.dataset.shadow === key);
+  }
+  
+  // Values of the controls used by the selected shadow type
+  function readShadowControls() {
+    const values = {};
+    Object.keys(SHADOW_TYPES[shadowType.value].defaults).forEach(key => {
+      values[key] = getShadowControl(key).value;
+    });
+    return values;
+  }
+  
+  // Turn shadow control values (percentages and preview pixels) into a
+  // shadow effect for an image of the given size
+  function createShadowEffect(values, width, height) {
+    const previewScale = getPreviewScale(width, height);
+    const shadow = {};
+    
+    Object.entries(values).forEach(([key, value]) => {
+      if (key === 'color') shadow.color = value;
+      else if (key === 'opacity') shadow.opacity = Number(value) / 100;
+      else if (key === 'blur' || key === 'distance') shadow[key] = Number(value) / previewScale;
+      else shadow[key] = Number(value);
+    });
+    
+    return shadow;
+  }
+  
+  // Fill the shadow controls from the current image's shadow of the selected
+  // type, or with that type's defaults
+  function syncShadowControls() {
+    const type = SHADOW_TYPES[shadowType.value];
+    const imgObj = images[currentImageIndex];
+    const shadow = imgObj && imgObj.effects[type.effect];
+    const previewScale = imgObj && imgObj.width ? getPreviewScale(imgObj.width, imgObj.height) : 1;
+    
+    Object.entries(type.defaults).forEach(([key, value]) => {
+      if (shadow) {
+        if (key === 'opacity') value = Math.round(shadow.opacity * 100);
+        else if (key === 'blur' || key === 'distance') value = Math.round(shadow[key] * previewScale);
+        else value = shadow[key];
+      }
+      getShadowControl(key).value = value;
+    });
+    
+    updateShadowControls();
+  }
+  
+  // Show the controls used by the selected shadow type, with their values
+  function updateShadowControls() {
+    const { defaults } = SHADOW_TYPES[shadowType.value];
+    
+    shadowControls.forEach(control => {
+      control.closest('.tool-setting').classList.toggle('hidden', !(control.dataset.shadow in defaults));
+    });
+    
+    document.querySelectorAll('[data-shadow-value]').forEach(output => {
+      const key = output.dataset.shadowValue;
+      const value = getShadowControl(key).value;
+      if (key === 'angle') output.textContent = `${value}°`;
+      else if (key === 'blur' || key === 'distance') output.textContent = `${value}px`;
+      else output.textContent = `${value}%`;
+    });
+  }
+  
+  // Control changes update an image that already has the selected shadow
+  function changeShadowControls() {
+    updateShadowControls();
+    
+    const imgObj = images[currentImageIndex];
+    if (imgObj && imgObj.effects[SHADOW_TYPES[shadowType.value].effect]) applyShadow();
+  }
+  
+  // Blur the background behind the subject, portrait style. The mask decides
+  // what is background, so the effect follows later mask edits; an image
+  // without one is segmented first and keeps that subject with the blur.
+  function blurBackground() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
+    
+    const imgObj = images[currentImageIndex];
+    const previous = imgObj.effects.blur;
+    const controller = new AbortController();
+    
+    showLoading('Blurring background...', () => controller.abort());
+    
+    getSourceData(imgObj)
+      .then(sourceData => {
+        if (imgObj.mask || (previous && previous.mask)) {
+          return { sourceData, subjectMask: previous ? previous.mask : undefined };
+        }
+        
+        return segmentWithEngine(sourceData, {
+          hints: imgObj.hints,
+          signal: controller.signal,
+          onProgress: (stage, progress) => {
+            updateLoading(`Finding the subject: ${stage} (${Math.round(progress * 100)}%)`);
+          }
+        }).then(subjectMask => ({ sourceData, subjectMask }));
+      })
+      .then(({ sourceData, subjectMask }) => {
+        // Sizes are set as they appear on the preview and stored in image pixels
+        const previewScale = getPreviewScale(sourceData.width, sourceData.height);
+        const values = readBlurControls();
+        const blur = {
+          radius: values.strength / previewScale,
+          feather: values.feather / previewScale,
+          falloff: values.falloff / previewScale,
+          kernel: values.kernel
+        };
+        if (subjectMask) blur.mask = subjectMask;
+        
+        // Blurring shows the original background again instead of a replacement
+        const { background, ...effects } = imgObj.effects;
+        
+        updateEditedImage(imgObj, previous ? 'Change blur' : 'Blur background', { effects: { ...effects, blur } }, () => {
           hideLoading();
-          showToast('Failed to process the brush action', 'error');
-          
-          // Clear paths
-          const paths = canvas.getObjects('path');
-          paths.forEach(path => canvas.remove(path));
-          canvas.renderAll();
+          if (!previous) showToast('Background blurred successfully', 'success');
+        });
+      })
+      .catch(error => {
+        hideLoading();
+        if (error.name === 'AbortError') {
+          showToast('Background blur cancelled', 'info');
+          return;
         }
-      }, 500);
+        console.error('Blur background error:', error);
+        showToast(error instanceof EngineError ? error.message : 'Failed to blur background', 'error');
+      });
+  }
+  
+  function removeBlur() {
+    if (currentImageIndex === -1) {
+      showToast('Please select an image first', 'error');
+      return;
+    }
+    
+    const imgObj = images[currentImageIndex];
+    if (!imgObj.effects.blur) {
+      showToast('No blur to remove', 'info');
+      return;
+    }
+    
+    const { blur, ...effects } = imgObj.effects;
+    updateEditedImage(imgObj, 'Remove blur', { effects }, () => {
+      showToast('Blur removed', 'success');
+    });
+  }
+  
+  // Blur control values: strength, feather and falloff in preview pixels
+  function readBlurControls() {
+    const values = {};
+    blurControls.forEach(control => {
+      values[control.dataset.blur] = control.tagName === 'SELECT' ? control.value : Number(control.value);
+    });
+    return values;
+  }
+  
+  function syncBlurControls(blur) {
+    const imgObj = images[currentImageIndex];
+    const previewScale = imgObj.width ? getPreviewScale(imgObj.width, imgObj.height) : 1;
+    const values = {
+      strength: Math.round(blur.radius * previewScale),
+      feather: Math.round((blur.feather || 0) * previewScale),
+      falloff: Math.round((blur.falloff || 0) * previewScale),
+      kernel: blur.kernel || 'gaussian'
+    };
+    
+    blurControls.forEach(control => {
+      control.value = values[control.dataset.blur];
     });
+    updateBlurLabels();
+  }
+  
+  function updateBlurLabels() {
+    document.querySelectorAll('[data-blur-value]').forEach(output => {
+      const value = readBlurControls()[output.dataset.blurValue];
+      output.textContent = output.dataset.blurValue === 'falloff' && value === 0 ? 'Off' : `${value}px`;
+    });
+  }
+  
+  // Control changes update an image that is already blurred
+  function changeBlurControls() {
+    updateBlurLabels();
+    
+    const imgObj = images[currentImageIndex];
+    if (imgObj && imgObj.effects.blur) blurBackground();
+  }
+  
+  // Apply an edit (new mask and/or effects) to an image and refresh the preview.
+  // The replaced state is recorded in the image's history under `label`.
+  function updateEditedImage(imgObj, label, changes, callback) {
+    pushHistory(imgObj.history, label, getImageState(imgObj));
+    applyImageState(imgObj, changes);
+    
+    if (imgObj === images[currentImageIndex]) {
+      refreshCurrentImage(callback);
+    } else if (callback) {
+      callback();
+    }
+  }
+  
+  // Sync the preview, thumbnail and history buttons with the current image
+  function refreshCurrentImage(callback) {
+    updateHistoryButtons();
+    renderCurrentImage(callback);
+  }
+  
+  // Snapshot of the parts of an image that edits change
+  function getImageState(imgObj) {
+    return {
+      source: imgObj.source,
+      mask: imgObj.mask,
+      effects: imgObj.effects,
+      hints: imgObj.hints
+    };
+  }
+  
+  function applyImageState(imgObj, state) {
+    // Selections don't carry over to a differently cropped image
+    if (state.source && state.source !== imgObj.source && imgObj === images[currentImageIndex]) {
+      currentSelection = null;
+    }
+    Object.assign(imgObj, state);
+  }
+  
+  // Undo the last edit on the current image
+  function undo() {
+    if (currentImageIndex === -1) return;
+    
+    const imgObj = images[currentImageIndex];
+    const entry = undoHistory(imgObj.history, getImageState(imgObj));
+    if (!entry) {
+      showToast('Nothing to undo', 'info');
+      return;
+    }
+    
+    applyImageState(imgObj, entry.state);
+    refreshCurrentImage(() => showToast(`Undo: ${entry.label}`, 'info'));
+  }
+  
+  // Redo the last undone edit on the current image
+  function redo() {
+    if (currentImageIndex === -1) return;
+    
+    const imgObj = images[currentImageIndex];
+    const entry = redoHistory(imgObj.history, getImageState(imgObj));
+    if (!entry) {
+      showToast('Nothing to redo', 'info');
+      return;
+    }
+    
+    applyImageState(imgObj, entry.state);
+    refreshCurrentImage(() => showToast(`Redo: ${entry.label}`, 'info'));
+  }
+  
+  function updateHistoryButtons() {
+    const history = currentImageIndex === -1 ? null : images[currentImageIndex].history;
+    undoBtn.disabled = !canUndo(history);
+    redoBtn.disabled = !canRedo(history);
+  }
+  
+  // Download all edited images. `options` defaults to the export settings.
+  function downloadImages(options = getExportOptions()) {
+    if (images.length === 0) {
+      showToast('No images to download', 'error');
+      return;
+    }
+    
+    showLoading('Preparing download...');
+    
+    try {
+      // If only one image, download it directly
+      if (images.length === 1) {
+        const filename = getExportPath(images[0], 0, false, options);
+        
+        // Composite the layers at full resolution
+        renderExport(images[0], options)
+          .then(({ blob }) => {
+            saveAs(blob, filename);
+            hideLoading();
+            showToast('Image downloaded successfully', 'success');
+          })
+          .catch(err => {
+            console.error('Download error:', err);
+            hideLoading();
+            showToast('Failed to download image', 'error');
+          });
+        return;
+      }
+      
+      // For multiple images, create a zip file with a manifest of its contents
+      const zip = new JSZip();
+      const manifest = {
+        created: new Date().toISOString(),
+        format: options.format,
+        size: options.size,
+        images: [],
+        failed: []
+      };
+      const usedPaths = new Set();
+      
+      // Render one image at a time so only one full-resolution copy is in memory
+      images.reduce((chain, image, index) => chain.then(() => {
+        updateLoading(`Rendering image ${index + 1} of ${images.length}...`);
+        
+        return renderExport(image, options)
+          .then(({ blob, width, height }) => {
+            const path = getUniquePath(getExportPath(image, index, true, options), usedPaths);
+            zip.file(path, blob);
+            manifest.images.push({
+              source: image.filename,
+              output: path,
+              width,
+              height,
+              operations: describeOperations(image, options)
+            });
+          })
+          .catch(err => {
+            console.error(`Export error for ${image.filename}:`, err);
+            manifest.failed.push({ source: image.filename, error: err.message });
+          });
+      }), Promise.resolve())
+        .then(() => {
+          const failedNames = manifest.failed.map(failure => failure.source);
+          if (failedNames.length === images.length) {
+            hideLoading();
+            showToast(`No images could be exported: ${listNames(failedNames)}`, 'error');
+            return;
+          }
+          
+          zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+          
+          // Images are already compressed, so store them as they are and
+          // stream them into the archive one at a time
+          return zip.generateAsync({ type: 'blob', compression: 'STORE', streamFiles: true }, metadata => {
+            updateLoading(`Creating ZIP file... ${Math.round(metadata.percent)}%`);
+          })
+            .then(content => {
+              // Download zip
+              saveAs(content, 'edited_images.zip');
+              hideLoading();
+              if (failedNames.length > 0) {
+                showToast(`Downloaded ${manifest.images.length} of ${images.length} images. Failed: ${listNames(failedNames)}`, 'error');
+              } else {
+                showToast('Images downloaded as ZIP', 'success');
+              }
+            });
+        })
+        .catch(err => {
+          console.error('Zip generation error:', err);
+          hideLoading();
+          showToast('Failed to create ZIP file', 'error');
+        });
+    } catch (error) {
+      console.error('Download error:', error);
+      hideLoading();
+      showToast('Failed to download images', 'error');
+    }
+  }
+  
+  // Composite an image at full resolution, fit it to the export size and
+  // encode it in the export format. Resolves to the blob and its dimensions.
+  function renderExport(imgObj, options = getExportOptions()) {
+    return renderImage(imgObj).then(rendered => {
+      const output = resizeForExport(rendered, options);
+      return encodeImage(output, options).then(blob => ({ blob, width: output.width, height: output.height }));
+    });
+  }
+  
+  // Export settings, falling back to PNG if the browser can't encode the
+  // chosen format
+  function getExportOptions() {
+    const format = isFormatSupported(settings.export.format) ? settings.export.format : 'png';
+    return { ...settings.export, format };
+  }
+  
+  // Download path from the naming templates, with the extension of the
+  // export format. Folders are only used inside ZIP files.
+  function getExportPath(imgObj, index, withFolder = true, options = getExportOptions()) {
+    const values = {
+      name: stripExtension(imgObj.filename),
+      index: String(index + 1).padStart(String(images.length).length, '0'),
+      date: formatDate(new Date()),
+      preset: options.size
+    };
+    
+    // A slash in the name would create a folder, so it is treated as text
+    const name = sanitizePath(fillTemplate(settings.export.nameTemplate, values).replace(/\//g, '_')) || values.name;
+    const filename = `${name}.${EXPORT_FORMATS[options.format].extension}`;
+    const folder = withFolder ? sanitizePath(fillTemplate(settings.export.folderTemplate, values)) : '';
+    return folder ? `${folder}/${filename}` : filename;
+  }
+  
+  // Number repeated paths so templates without {name} or {index} don't
+  // overwrite each other: photo.png, photo (2).png, ...
+  function getUniquePath(path, usedPaths) {
+    const dot = path.lastIndexOf('.');
+    let unique = path;
+    for (let n = 2; usedPaths.has(unique); n++) {
+      unique = `${path.slice(0, dot)} (${n})${path.slice(dot)}`;
+    }
+    usedPaths.add(unique);
+    return unique;
+  }
+  
+  // Edits applied to an image, for the ZIP manifest
+  function describeOperations(imgObj, options) {
+    const effectNames = {
+      decontaminate: 'defringe',
+      background: 'replace background',
+      blur: 'background blur',
+      shadow: 'drop shadow',
+      contactShadow: 'contact shadow',
+      reflection: 'reflection'
+    };
+    
+    const operations = [];
+    if (imgObj.source !== imgObj.original) operations.push('crop / rotate');
+    if (imgObj.mask) operations.push('background removal');
+    Object.keys(imgObj.effects).forEach(key => operations.push(effectNames[key] || key));
+    if (options.size !== 'original') operations.push(`resize: ${SIZE_PRESETS[options.size].label}`);
+    return operations;
   }
   
-  // Add shadow to image
-  function addShadow() {
-    if (currentImageIndex === -1) {
-      showToast('Please select an image first', 'error');
+  // Short list of filenames for a message
+  function listNames(names, max = 5) {
+    const shown = names.slice(0, max).join(', ');
+    return names.length > max ? `${shown} and ${names.length - max} more` : shown;
+  }
+  
+  // Ask for the export format before downloading
+  function openExportDialog() {
+    if (images.length === 0) {
+      showToast('No images to download', 'error');
       return;
     }
     
-    const activeObj = canvas.getActiveObject() || canvas.item(0);
-    if (!activeObj) {
-      showToast('No image found on canvas', 'error');
-      return;
-    }
+    exportFormat.value = getExportOptions().format;
+    exportQuality.value = settings.export.quality;
+    exportMatte.value = settings.export.matte;
+    exportSize.value = settings.export.size;
+    exportWidth.value = settings.export.width;
+    exportHeight.value = settings.export.height;
+    exportMargin.value = settings.export.margin;
+    exportAlign.value = settings.export.align;
+    exportMaxFill.value = settings.export.maxFill;
+    exportNameTemplate.value = settings.export.nameTemplate;
+    exportFolderTemplate.value = settings.export.folderTemplate;
+    updateExportControls();
+    exportDialog.returnValue = '';
+    exportDialog.showModal();
+    estimateExportSize();
+  }
+  
+  function initExportDialog() {
+    Object.entries(EXPORT_FORMATS).forEach(([id, format]) => {
+      const option = new Option(format.label, id);
+      if (!isFormatSupported(id)) {
+        option.disabled = true;
+        option.textContent += ' (not supported by this browser)';
+      }
+      exportFormat.appendChild(option);
+    });
     
-    try {
-      // Create a shadow object
-      const shadow = new fabric.Shadow({
-        color: 'rgba(0,0,0,0.5)',
-        blur: 20,
-        offsetX: 10,
-        offsetY: 10
+    Object.entries(SIZE_PRESETS).forEach(([id, preset]) => {
+      exportSize.appendChild(new Option(preset.label, id));
+    });
+    
+    [exportFormat, exportQuality, exportMatte, exportSize, exportWidth, exportHeight, exportMargin, exportAlign, exportMaxFill]
+      .forEach(control => control.addEventListener('change', changeExportSettings));
+    [exportNameTemplate, exportFolderTemplate]
+      .forEach(control => control.addEventListener('change', changeExportNames));
+    [exportQuality, exportMargin, exportMaxFill]
+      .forEach(control => control.addEventListener('input', updateExportControls));
+    
+    exportDialog.addEventListener('close', () => {
+      if (exportDialog.returnValue === 'export') downloadImages();
+    });
+  }
+  
+  function changeExportSettings() {
+    settings.export.format = exportFormat.value;
+    settings.export.quality = Number(exportQuality.value);
+    settings.export.matte = exportMatte.value;
+    settings.export.size = exportSize.value;
+    settings.export.width = Math.max(1, Number(exportWidth.value) || settings.export.width);
+    settings.export.height = Math.max(1, Number(exportHeight.value) || settings.export.height);
+    settings.export.margin = Number(exportMargin.value);
+    settings.export.align = exportAlign.value;
+    settings.export.maxFill = Number(exportMaxFill.value);
+    saveSettings(settings);
+    
+    updateExportControls();
+    estimateExportSize();
+  }
+  
+  // Names don't change the output, so there is nothing to re-estimate
+  function changeExportNames() {
+    settings.export.nameTemplate = exportNameTemplate.value;
+    settings.export.folderTemplate = exportFolderTemplate.value;
+    saveSettings(settings);
+    updateExportControls();
+  }
+  
+  // Show quality for lossy formats, the matte for formats without alpha and
+  // the placement options for the sizes that use them
+  function updateExportControls() {
+    const format = EXPORT_FORMATS[exportFormat.value];
+    const size = exportSize.value;
+    const isFixedSize = size !== 'original' && size !== 'trim';
+    
+    exportQuality.closest('.setting').classList.toggle('hidden', !format.lossy);
+    exportMatte.closest('.setting').classList.toggle('hidden', format.alpha);
+    exportWidth.closest('.setting').classList.toggle('hidden', size !== 'custom');
+    exportMargin.closest('.setting').classList.toggle('hidden', size === 'original');
+    exportAlign.closest('.setting').classList.toggle('hidden', !isFixedSize);
+    exportMaxFill.closest('.setting').classList.toggle('hidden', !isFixedSize);
+    
+    exportQualityValue.textContent = `${exportQuality.value}%`;
+    document.getElementById('export-margin-value').textContent = `${exportMargin.value}%`;
+    document.getElementById('export-max-fill-value').textContent = `${exportMaxFill.value}%`;
+    
+    const index = Math.max(0, currentImageIndex);
+    if (images[index]) exportNamePreview.textContent = `e.g. ${getExportPath(images[index], index, images.length > 1)}`;
+  }
+  
+  // Encode the current image with the chosen settings to show its size
+  function estimateExportSize() {
+    const imgObj = images[currentImageIndex] || images[0];
+    const id = ++exportEstimateId;
+    exportEstimate.textContent = 'Estimating file size...';
+    
+    renderExport(imgObj)
+      .then(({ blob }) => {
+        if (id !== exportEstimateId) return;
+        
+        let text = `${formatFileSize(blob.size)} for ${imgObj.filename}`;
+        if (images.length > 1) text += ` (about ${formatFileSize(blob.size * images.length)} for all ${images.length} images)`;
+        exportEstimate.textContent = text;
+      })
+      .catch(error => {
+        if (id !== exportEstimateId) return;
+        console.error('Export estimate error:', error);
+        exportEstimate.textContent = 'Could not estimate the file size';
       });
-      
-      // Apply shadow to the object
-      activeObj.set('shadow', shadow);
-      
-      canvas.renderAll();
-      updateEditedImage();
-      
-      showToast('Shadow added successfully', 'success');
-    } catch (error) {
-      console.error('Shadow error:', error);
-      showToast('Failed to add shadow', 'error');
-    }
   }
   
-  // Blur background (improved implementation)
-  function blurBackground() {
+  // Open the current image in the crop dialog
+  function openCropDialog() {
     if (currentImageIndex === -1) {
       showToast('Please select an image first', 'error');
       return;
     }
     
-    showLoading('Blurring background...');
+    if (isDrawingMode) exitDrawingMode();
     
-    const activeObj = canvas.getActiveObject() || canvas.item(0);
-    if (!activeObj) {
-      hideLoading();
-      showToast('No image found on canvas', 'error');
-      return;
+    cropQuarterTurns = 0;
+    cropStraighten.value = 0;
+    updateCropStraightenLabel();
+    
+    cropDialog.returnValue = '';
+    cropDialog.showModal();
+    cropImage.src = images[currentImageIndex].source;
+    cropper = new Cropper(cropImage, {
+      viewMode: 1,
+      autoCropArea: 1,
+      aspectRatio: getCropAspectRatio()
+    });
+  }
+  
+  function initCropDialog() {
+    Object.entries(ASPECT_RATIOS).forEach(([id, aspect]) => {
+      cropAspect.appendChild(new Option(aspect.label, id));
+    });
+    
+    cropAspect.addEventListener('change', () => cropper.setAspectRatio(getCropAspectRatio()));
+    cropStraighten.addEventListener('input', () => {
+      updateCropStraightenLabel();
+      rotateCrop();
+    });
+    
+    cropDialog.querySelectorAll('[data-crop-action]').forEach(button => {
+      button.addEventListener('click', () => changeCrop(button.dataset.cropAction));
+    });
+    
+    cropDialog.addEventListener('close', () => {
+      if (cropDialog.returnValue === 'apply' && cropper.ready) applyCrop(cropper.getData(true));
+      cropper.destroy();
+      cropper = null;
+    });
+  }
+  
+  function getCropAspectRatio() {
+    if (cropAspect.value === 'original') {
+      const imgObj = images[currentImageIndex];
+      return cropQuarterTurns % 2 !== 0 ? imgObj.height / imgObj.width : imgObj.width / imgObj.height;
+    }
+    return ASPECT_RATIOS[cropAspect.value].ratio;
+  }
+  
+  // Quarter turns plus the fine straightening angle
+  function rotateCrop() {
+    cropper.rotateTo(cropQuarterTurns * 90 + Number(cropStraighten.value));
+    if (cropAspect.value === 'original') cropper.setAspectRatio(getCropAspectRatio());
+  }
+  
+  function updateCropStraightenLabel() {
+    cropStraightenValue.textContent = `${cropStraighten.value}°`;
+  }
+  
+  function changeCrop(action) {
+    const data = cropper.getData();
+    // After a quarter turn the image's own axes are swapped on screen
+    const isTurned = cropQuarterTurns % 2 !== 0;
+    
+    switch (action) {
+      case 'rotate-left':
+        cropQuarterTurns--;
+        rotateCrop();
+        break;
+      case 'rotate-right':
+        cropQuarterTurns++;
+        rotateCrop();
+        break;
+      case 'flip-horizontal':
+        if (isTurned) cropper.scaleY(-data.scaleY);
+        else cropper.scaleX(-data.scaleX);
+        break;
+      case 'flip-vertical':
+        if (isTurned) cropper.scaleX(-data.scaleX);
+        else cropper.scaleY(-data.scaleY);
+        break;
+      case 'reset':
+        cropQuarterTurns = 0;
+        cropStraighten.value = 0;
+        updateCropStraightenLabel();
+        cropper.reset();
+        break;
     }
+  }
+  
+  // Replace the working image with the cropped one at full resolution. The
+  // mask, hints and blur mask are transformed with it so edits stay in place.
+  function applyCrop(cropData) {
+    const imgObj = images[currentImageIndex];
+    showLoading('Cropping image...');
     
     setTimeout(() => {
       try {
-        // Create a temporary canvas
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = activeObj.width * activeObj.scaleX;
-        tempCanvas.height = activeObj.height * activeObj.scaleY;
-        const tempCtx = tempCanvas.getContext('2d');
+        const { naturalWidth: width, naturalHeight: height } = cropImage;
+        const transform = (map, smoothing) => map && transformMap(map, width, height, cropData, smoothing);
         
-        // Draw the image
-        const img = new Image();
-        img.src = images[currentImageIndex].edited;
+        let effects = imgObj.effects;
+        if (effects.blur && effects.blur.mask) {
+          effects = { ...effects, blur: { ...effects.blur, mask: transform(effects.blur.mask) } };
+        }
         
-        img.onload = function() {
-          // First, apply a blur filter to the entire image
-          tempCtx.filter = 'blur(5px)';
-          tempCtx.drawImage(img, 0, 0, tempCanvas.width, tempCanvas.height);
-          
-          // Then, detect foreground (non-transparent areas) and keep them sharp
-          const blurredData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-          
-          // Reset filter and redraw the original image
-          tempCtx.filter = 'none';
-          tempCtx.clearRect(0, 0, tempCanvas.width, tempCanvas.height);
-          tempCtx.drawImage(img, 0, 0, tempCanvas.width, tempCanvas.height);
-          
-          // Get the original image data
-          const originalData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-          
-          // Combine: use original data for foreground (alpha > 200), blurred for background
-          const combinedData = new ImageData(
-            new Uint8ClampedArray(originalData.data),
-            originalData.width,
-            originalData.height
-          );
-          
-          for (let i = 0; i < originalData.data.length; i += 4) {
-            // If pixel is semi-transparent (likely background)
-            if (originalData.data[i + 3] < 200) {
-              combinedData.data[i] = blurredData.data[i]; // R
-              combinedData.data[i + 1] = blurredData.data[i + 1]; // G
-              combinedData.data[i + 2] = blurredData.data[i + 2]; // B
-            }
-          }
-          
-          // Put the combined data back
-          tempCtx.putImageData(combinedData, 0, 0);
-          
-          // Replace the image on the canvas
-          fabric.Image.fromURL(tempCanvas.toDataURL(), newImg => {
-            canvas.clear();
-            
-            // Scale image to fit canvas
-            const scale = Math.min(
-              canvas.width / newImg.width,
-              canvas.height / newImg.height
-            ) * 0.9;
-            
-            newImg.scale(scale);
-            
-            // Center image
-            newImg.set({
-              left: canvas.width / 2,
-              top: canvas.height / 2,
-              originX: 'center',
-              originY: 'center'
-            });
-            
-            canvas.add(newImg);
-            canvas.renderAll();
-            
-            updateEditedImage();
-            
-            hideLoading();
-            showToast('Background blurred successfully', 'success');
-          }, null, {
-            crossOrigin: 'anonymous'
-          });
+        const changes = {
+          source: transformImage(cropImage, cropData).toDataURL('image/png'),
+          mask: transform(imgObj.mask),
+          hints: transform(imgObj.hints, false),
+          effects
         };
         
-        img.onerror = function() {
+        canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+        updateEditedImage(imgObj, 'Crop / rotate', changes, () => {
           hideLoading();
-          showToast('Failed to process image', 'error');
-        };
+          showToast('Image cropped successfully', 'success');
+        });
       } catch (error) {
-        console.error('Blur background error:', error);
         hideLoading();
-        showToast('Failed to blur background', 'error');
+        console.error('Crop error:', error);
+        showToast('Failed to crop image', 'error');
       }
-    }, 500);
+    }, 0);
   }
   
-  // Update the edited image in our images array
-  function updateEditedImage() {
-    if (currentImageIndex === -1) return;
+  // Choose the recipe for Process All
+  function openBatchDialog() {
+    if (images.length === 0) {
+      showToast('Please upload images first', 'error');
+      return;
+    }
+    if (batch && batch.running) {
+      showToast('Images are already being processed', 'info');
+      return;
+    }
     
-    try {
-      images[currentImageIndex].edited = canvas.toDataURL({
-        format: 'png',
-        quality: 1
+    batchSteps.forEach(control => {
+      const value = settings.batch[control.dataset.batch];
+      if (control.type === 'checkbox') control.checked = value;
+      else control.value = value;
+    });
+    
+    batchDialog.returnValue = '';
+    batchDialog.showModal();
+  }
+  
+  function initBatchDialog() {
+    const batchSize = document.querySelector('[data-batch="size"]');
+    Object.entries(SIZE_PRESETS).forEach(([id, preset]) => {
+      batchSize.appendChild(new Option(preset.label, id));
+    });
+    
+    batchSteps.forEach(control => {
+      control.addEventListener('change', () => {
+        settings.batch[control.dataset.batch] = control.type === 'checkbox' ? control.checked : control.value;
+        saveSettings(settings);
       });
-      
-      // Update thumbnail
-      const thumbnails = document.querySelectorAll('.thumbnail');
-      if (thumbnails[currentImageIndex]) {
-        thumbnails[currentImageIndex].src = images[currentImageIndex].edited;
-      }
-    } catch (error) {
-      console.error('Update edited image error:', error);
-      showToast('Failed to update image', 'error');
-    }
+    });
+    
+    batchDialog.addEventListener('close', () => {
+      if (batchDialog.returnValue === 'start') startBatch();
+    });
   }
   
-  // Download all edited images
-  function downloadImages() {
-    if (images.length === 0) {
-      showToast('No images to download', 'error');
+  // Snapshot the recipe from the tool settings and queue every image
+  function startBatch() {
+    const steps = settings.batch;
+    if (steps.background && bgType.value === 'image' && !backdropImage) {
+      showToast('Choose a backdrop image first', 'info');
       return;
     }
     
-    showLoading('Preparing download...');
+    const recipe = {
+      removeBackground: steps.removeBackground,
+      defringe: steps.defringe ? { strength: Number(defringeStrength.value) / 100 } : null,
+      background: steps.background ? readBackgroundControls() : null,
+      shadow: steps.shadow ? { type: shadowType.value, values: readShadowControls() } : null,
+      download: steps.download,
+      size: steps.size
+    };
     
-    try {
-      // If only one image, download it directly
-      if (images.length === 1) {
-        const dataUrl = images[0].edited;
-        const filename = 'edited_' + images[0].filename;
-        
-        // Convert data URL to Blob
-        fetch(dataUrl)
-          .then(res => res.blob())
-          .then(blob => {
-            saveAs(blob, filename);
-            hideLoading();
-            showToast('Image downloaded successfully', 'success');
-          })
-          .catch(err => {
-            console.error('Download error:', err);
-            hideLoading();
-            showToast('Failed to download image', 'error');
-          });
-        return;
-      }
-      
-      // For multiple images, create a zip file
-      const zip = new JSZip();
-      let processedCount = 0;
+    images.forEach(imgObj => setBatchStatus(imgObj, 'queued'));
+    batch = { recipe, images: [...images], queue: [...images], running: false, paused: false };
+    runBatch();
+  }
+  
+  function runBatch() {
+    if (batch.running) return;
+    batch.paused = false;
+    batch.running = true;
+    updateBatchControls();
+    processNextBatchImage(batch);
+  }
+  
+  // Work through the queue one image at a time. Pausing takes effect once
+  // the current image is done.
+  function processNextBatchImage(run) {
+    // The editor was reset and the run dropped
+    if (run !== batch) return;
+    
+    if (run.paused || run.queue.length === 0) {
+      run.running = false;
+      updateBatchControls();
+      if (run.queue.length === 0) finishBatch(run);
+      return;
+    }
+    
+    const imgObj = run.queue.shift();
+    setBatchStatus(imgObj, 'processing');
+    updateBatchControls();
+    
+    processBatchImage(imgObj, run.recipe)
+      .then(() => setBatchStatus(imgObj, 'done'))
+      .catch(error => {
+        console.error(`Process all error for ${imgObj.filename}:`, error);
+        setBatchStatus(imgObj, 'failed', error.message || 'Processing failed');
+      })
+      .then(() => processNextBatchImage(run));
+  }
+  
+  // Apply the recipe to one image as a single edit in its history
+  function processBatchImage(imgObj, recipe) {
+    return getSourceData(imgObj).then(sourceData => {
+      const segment = recipe.removeBackground
+        ? segmentWithEngine(sourceData, { hints: imgObj.hints })
+        : Promise.resolve(imgObj.mask);
       
-      images.forEach((image, index) => {
-        // Convert data URL to blob
-        fetch(image.edited)
-          .then(res => res.blob())
-          .then(blob => {
-            // Add to zip
-            zip.file('edited_' + image.filename, blob);
-            
-            processedCount++;
-            if (processedCount === images.length) {
-              // Generate zip file
-              zip.generateAsync({ type: 'blob' })
-                .then(content => {
-                  // Download zip
-                  saveAs(content, 'edited_images.zip');
-                  hideLoading();
-                  showToast('Images downloaded as ZIP', 'success');
-                })
-                .catch(err => {
-                  console.error('Zip generation error:', err);
-                  hideLoading();
-                  showToast('Failed to create ZIP file', 'error');
-                });
-            }
-          })
-          .catch(err => {
-            console.error('Blob conversion error:', err);
-            processedCount++;
-            if (processedCount === images.length) {
-              hideLoading();
-              showToast('Some images could not be processed', 'error');
-            }
-          });
+      return segment.then(mask => {
+        const needsMask = recipe.defringe || recipe.background || (recipe.shadow && recipe.shadow.type !== 'drop');
+        if (needsMask && !mask) throw new Error('The background has not been removed');
+        
+        const effects = { ...imgObj.effects };
+        if (recipe.defringe) effects.decontaminate = recipe.defringe;
+        if (recipe.background) {
+          // A replacement background takes the place of a blurred one
+          delete effects.blur;
+          effects.background = {
+            ...recipe.background,
+            subject: effects.background ? effects.background.subject : { x: 0, y: 0, scale: 1 }
+          };
+        }
+        if (recipe.shadow) {
+          const type = SHADOW_TYPES[recipe.shadow.type];
+          effects[type.effect] = createShadowEffect(recipe.shadow.values, sourceData.width, sourceData.height);
+        }
+        
+        updateEditedImage(imgObj, 'Process all', { mask, effects });
+        
+        // The preview refreshes the current image's thumbnail itself
+        if (imgObj !== images[currentImageIndex]) {
+          return renderImage(imgObj).then(rendered => updateThumbnail(imgObj, rendered));
+        }
       });
-    } catch (error) {
-      console.error('Download error:', error);
-      hideLoading();
-      showToast('Failed to download images', 'error');
+    });
+  }
+  
+  function finishBatch(run) {
+    const failed = run.images.filter(imgObj => imgObj.batchStatus === 'failed');
+    if (failed.length > 0) {
+      showToast(`${failed.length} of ${run.images.length} images failed: ${listNames(failed.map(imgObj => imgObj.filename))}`, 'error');
+      return;
+    }
+    
+    showToast(`All ${run.images.length} images processed`, 'success');
+    // The recipe's size only applies to this download, not to the export settings
+    if (run.recipe.download) {
+      const options = getExportOptions();
+      if (run.recipe.size) options.size = run.recipe.size;
+      downloadImages(options);
+    }
+  }
+  
+  function toggleBatchPause() {
+    if (!batch) return;
+    
+    if (batch.running) {
+      batch.paused = true;
+      updateBatchControls();
+    } else {
+      runBatch();
+    }
+  }
+  
+  // Queue the images that failed again
+  function retryBatch() {
+    if (!batch) return;
+    
+    const failed = batch.images.filter(imgObj => imgObj.batchStatus === 'failed' && images.includes(imgObj));
+    failed.forEach(imgObj => setBatchStatus(imgObj, 'queued'));
+    batch.queue.push(...failed);
+    runBatch();
+  }
+  
+  // Record an image's progress and show it on its thumbnail
+  function setBatchStatus(imgObj, status, error = '') {
+    imgObj.batchStatus = status;
+    imgObj.batchError = error;
+    
+    const thumbnail = document.querySelectorAll('.thumbnail')[images.indexOf(imgObj)];
+    if (thumbnail) {
+      thumbnail.parentElement.dataset.batchStatus = status;
+      thumbnail.title = error ? `${imgObj.filename}: ${error}` : imgObj.filename;
     }
   }
   
+  function updateBatchControls() {
+    batchStatus.closest('.batch-progress').classList.toggle('hidden', !batch);
+    if (!batch) return;
+    
+    const count = status => batch.images.filter(imgObj => imgObj.batchStatus === status).length;
+    const done = count('done');
+    const failed = count('failed');
+    const total = batch.images.length;
+    
+    let text = `${done} of ${total} done`;
+    if (failed > 0) text += `, ${failed} failed`;
+    if (batch.running && batch.paused) text += ' - pausing...';
+    else if (!batch.running && batch.queue.length > 0) text += ' - paused';
+    batchStatus.textContent = text;
+    
+    batchPauseBtn.textContent = batch.running ? 'Pause' : 'Resume';
+    batchPauseBtn.disabled = batch.running ? batch.paused : batch.queue.length === 0;
+    batchRetryBtn.disabled = batch.running || failed === 0;
+  }
+  
   // Reset the editor
   function resetEditor() {
     if (images.length === 0) {
@@ -1438,80 +3038,362 @@ function init() {
     if (currentImageIndex !== -1) {
       showLoading('Resetting image...');
       
-      // Reset to original
-      images[currentImageIndex].edited = images[currentImageIndex].original;
-      
-      // Update thumbnail
-      const thumbnails = document.querySelectorAll('.thumbnail');
-      if (thumbnails[currentImageIndex]) {
-        thumbnails[currentImageIndex].src = images[currentImageIndex].original;
-      }
-      
-      // Reload image to canvas
-      fabric.Image.fromURL(images[currentImageIndex].original, img => {
-        canvas.clear();
-        
-        // Scale image to fit canvas
-        const scale = Math.min(
-          canvas.width / img.width,
-          canvas.height / img.height
-        ) * 0.9;
-        
-        img.scale(scale);
-        
-        // Center image
-        img.set({
-          left: canvas.width / 2,
-          top: canvas.height / 2,
-          originX: 'center',
-          originY: 'center'
-        });
-        
-        canvas.add(img);
-        canvas.renderAll();
-        
+      // Reset to original, keeping the edits in history so the reset can be undone
+      const imgObj = images[currentImageIndex];
+      updateEditedImage(imgObj, 'Reset', { source: imgObj.original, mask: null, effects: {}, hints: null }, () => {
         hideLoading();
         showToast('Image reset to original', 'success');
-      }, null, {
-        crossOrigin: 'anonymous'
       });
     } else {
       // Reset everything
       canvas.clear();
+      canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
       images = [];
+      sourceCache = null;
       currentImageIndex = -1;
+      currentSelection = null;
+      batch = null;
+      updateBatchControls();
       thumbnailsContainer.innerHTML = '';
+      pixelInfo.textContent = '';
+      applyViewport();
       imageUpload.value = '';
+      updateHistoryButtons();
       showToast('Editor reset successfully', 'info');
     }
   }
   
   // Set up event listeners
   imageUpload.addEventListener('change', handleImageUpload);
+  cropRotateBtn.addEventListener('click', openCropDialog);
+  processAllBtn.addEventListener('click', openBatchDialog);
+  batchPauseBtn.addEventListener('click', toggleBatchPause);
+  batchRetryBtn.addEventListener('click', retryBatch);
   removeBgBtn.addEventListener('click', removeBackground);
+  grabCutBtn.addEventListener('click', setBoxSelectMode);
+  refineEdgesBtn.addEventListener('click', () => refineEdges());
+  featherBtn.addEventListener('click', featherEdges);
   magicRemoveBtn.addEventListener('click', () => setMagicBrushMode('remove'));
   magicRestoreBtn.addEventListener('click', () => setMagicBrushMode('restore'));
-  addShadowBtn.addEventListener('click', addShadow);
+  refineBrushBtn.addEventListener('click', setRefineBrushMode);
+  hintKeepBtn.addEventListener('click', () => setHintMode('keep'));
+  hintDiscardBtn.addEventListener('click', () => setHintMode('discard'));
+  clearHintsBtn.addEventListener('click', clearHints);
+  magicWandBtn.addEventListener('click', setMagicWandMode);
+  magneticLassoBtn.addEventListener('click', setMagneticLassoMode);
+  wandTolerance.addEventListener('input', changeWandTolerance);
+  wandTolerance.addEventListener('change', () => saveSettings(settings));
+  invertSelectionBtn.addEventListener('click', invertCurrentSelection);
+  featherSelectionBtn.addEventListener('click', featherSelection);
+  removeSelectionBtn.addEventListener('click', () => applySelection('remove'));
+  restoreSelectionBtn.addEventListener('click', () => applySelection('restore'));
+  clearSelectionBtn.addEventListener('click', clearSelection);
+  defringeBtn.addEventListener('click', defringeEdges);
+  defringeCompareBtn.addEventListener('click', toggleDefringeCompare);
+  defringeStrength.addEventListener('input', updateDefringeStrengthLabel);
+  defringeStrength.addEventListener('change', changeDefringeStrength);
+  [bgType, bgColor, bgColor2, bgGradientType, bgAngle, bgFit].forEach(control => {
+    control.addEventListener('change', changeBackgroundControls);
+  });
+  bgAngle.addEventListener('input', updateBackgroundControls);
+  bgImageInput.addEventListener('change', loadBackdrop);
+  applyBgBtn.addEventListener('click', applyBackground);
+  moveSubjectBtn.addEventListener('click', setSubjectMode);
+  clearBgBtn.addEventListener('click', clearBackground);
+  shadowType.addEventListener('change', syncShadowControls);
+  shadowControls.forEach(control => {
+    control.addEventListener('input', updateShadowControls);
+    control.addEventListener('change', changeShadowControls);
+  });
+  applyShadowBtn.addEventListener('click', applyShadow);
+  removeShadowBtn.addEventListener('click', removeShadow);
   blurBgBtn.addEventListener('click', blurBackground);
-  downloadBtn.addEventListener('click', downloadImages);
+  removeBlurBtn.addEventListener('click', removeBlur);
+  blurControls.forEach(control => {
+    control.addEventListener('input', updateBlurLabels);
+    control.addEventListener('change', changeBlurControls);
+  });
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+  downloadBtn.addEventListener('click', openExportDialog);
   resetBtn.addEventListener('click', resetEditor);
+  viewModeSelect.addEventListener('change', changeViewMode);
+  viewColorInput.addEventListener('change', changeViewMode);
+  zoomFitBtn.addEventListener('click', zoomToFit);
+  zoomActualBtn.addEventListener('click', () => setZoom(getActualSizeZoom()));
+  zoomDoubleBtn.addEventListener('click', () => setZoom(getActualSizeZoom() * 2));
+  canvas.on('mouse:wheel', zoomWithWheel);
+  canvas.upperCanvasEl.addEventListener('pointermove', updatePixelInfo);
+  canvas.upperCanvasEl.addEventListener('pointerleave', () => {
+    pixelInfo.textContent = '';
+  });
   
   // Add keyboard shortcuts
   document.addEventListener('keydown', function(e) {
-    // Ctrl+Z for undo (not implemented yet)
-    if (e.ctrlKey && e.key === 'z') {
-      // Future implementation
+    // Dialogs handle their own keys
+    if (cropDialog.open || exportDialog.open || batchDialog.open) return;
+    
+    // Ctrl+Z for undo, Ctrl+Shift+Z (or Ctrl+Y) for redo
+    if ((e.ctrlKey || e.metaKey) && !isEditableTarget(e.target)) {
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    }
+    
+    // Ctrl+0 to fit the image, Ctrl+1 for actual size
+    if ((e.ctrlKey || e.metaKey) && (e.key === '0' || e.key === '1') && canvas.item(0)) {
+      e.preventDefault();
+      if (e.key === '0') zoomToFit();
+      else setZoom(getActualSizeZoom());
+    }
+    
+    // Hold Space to pan. This also applies over a focused tool button, which
+    // is where focus usually is after picking a tool.
+    if (e.key === ' ' && canvas.item(0) && !isEditableTarget(e.target)) {
+      e.preventDefault();
+      if (!e.repeat) setSpaceHeld(true);
+    }
+    
+    // [ and ] to change the brush size
+    if ((e.key === '[' || e.key === ']') && !e.ctrlKey && !e.metaKey && !isEditableTarget(e.target)) {
+      e.preventDefault();
+      resizeBrush(e.key === ']' ? 1.2 : 1 / 1.2);
+    }
+    
+    // Enter to close the magnetic lasso
+    if (e.key === 'Enter' && lasso && !isEditableTarget(e.target)) {
+      e.preventDefault();
+      closeLasso();
     }
     
     // Escape to exit drawing mode
     if (e.key === 'Escape' && isDrawingMode) {
-      isDrawingMode = false;
-      canvas.isDrawingMode = false;
-      magicRemoveBtn.classList.remove('primary');
-      magicRestoreBtn.classList.remove('primary');
-      showToast('Magic brush disabled', 'info');
+      let toolName = 'Magic brush';
+      if (isHintMode()) toolName = 'Hint marking';
+      else if (brushMode === 'box') toolName = 'Box selection';
+      else if (brushMode === 'refine') toolName = 'Refine edge brush';
+      else if (brushMode === 'wand') toolName = 'Magic wand';
+      else if (brushMode === 'lasso') toolName = 'Magnetic lasso';
+      else if (brushMode === 'subject') toolName = 'Subject positioning';
+      
+      exitDrawingMode();
+      showToast(`${toolName} disabled`, 'info');
     }
   });
+  
+  document.addEventListener('keyup', function(e) {
+    if (e.key === ' ') setSpaceHeld(false);
+  });
+  window.addEventListener('blur', () => setSpaceHeld(false));
+  
+  // Bind every [data-setting] control in the settings panel to the settings object
+  function initSettingsPanel() {
+    const engineSelect = settingsPanel.querySelector('[data-setting="engine"]');
+    listEngines().forEach(engine => {
+      engineSelect.appendChild(new Option(engine.label, engine.id));
+    });
+    
+    const modelSelect = settingsPanel.querySelector('[data-setting="onnx.model"]');
+    Object.entries(ONNX_MODELS).forEach(([id, model]) => {
+      modelSelect.appendChild(new Option(model.label, id));
+    });
+    
+    const presetSelect = settingsPanel.querySelector('[data-setting="removal.preset"]');
+    Object.entries(PARAM_PRESETS).forEach(([id, preset]) => {
+      presetSelect.appendChild(new Option(preset.label, id));
+    });
+    presetSelect.appendChild(new Option('Custom', 'custom'));
+    
+    const colorSpaceSelect = settingsPanel.querySelector('[data-setting="colorSpace"]');
+    listColorSpaces().forEach(space => {
+      colorSpaceSelect.appendChild(new Option(space.label, space.id));
+    });
+    
+    settingsPanel.querySelectorAll('[data-setting]').forEach(control => {
+      const path = control.dataset.setting;
+      
+      // Sliders update live while dragging
+      control.addEventListener(control.type === 'range' ? 'input' : 'change', () => {
+        let value = control.value;
+        if (control.type === 'checkbox') value = control.checked;
+        else if (control.type === 'number' || control.type === 'range') value = Number(control.value);
+        
+        setSetting(settings, path, value);
+        
+        // Picking a preset loads its values; editing a value leaves the preset
+        if (path === 'removal.preset' && PARAM_PRESETS[value]) {
+          Object.assign(settings.removal, PARAM_PRESETS[value].params);
+        } else if (path.startsWith('removal.') && path !== 'removal.preset') {
+          settings.removal.preset = 'custom';
+        }
+        
+        saveSettings(settings);
+        updateSettingsControls();
+        updateSettingsVisibility();
+        
+        if (path.startsWith('removal.') || path === 'colorSpace') scheduleMaskPreview();
+      });
+    });
+    
+    settingsPanel.addEventListener('toggle', scheduleMaskPreview);
+    
+    updateSettingsControls();
+    updateSettingsVisibility();
+  }
+  
+  // Show the current settings in the panel's controls
+  function updateSettingsControls() {
+    settingsPanel.querySelectorAll('[data-setting]').forEach(control => {
+      const value = getSetting(settings, control.dataset.setting);
+      
+      if (control.type === 'checkbox') {
+        control.checked = value;
+      } else {
+        control.value = value;
+      }
+    });
+    
+    settingsPanel.querySelectorAll('[data-setting-value]').forEach(output => {
+      output.textContent = getSetting(settings, output.dataset.settingValue);
+    });
+  }
+  
+  // Live preview of the local engine's mask with the current removal
+  // settings, computed on a small copy of the current image
+  let maskPreviewTimer = null;
+  let maskPreviewController = null;
+  
+  function scheduleMaskPreview() {
+    clearTimeout(maskPreviewTimer);
+    maskPreviewTimer = setTimeout(updateMaskPreview, 200);
+  }
+  
+  function updateMaskPreview() {
+    if (maskPreviewController) maskPreviewController.abort();
+    maskPreviewController = null;
+    
+    if (!settingsPanel.open) return;
+    
+    const ctx = maskPreviewCanvas.getContext('2d');
+    if (currentImageIndex === -1) {
+      ctx.clearRect(0, 0, maskPreviewCanvas.width, maskPreviewCanvas.height);
+      maskPreviewStatus.textContent = 'Select an image to preview';
+      return;
+    }
+    
+    const imgObj = images[currentImageIndex];
+    const controller = new AbortController();
+    maskPreviewController = controller;
+    maskPreviewStatus.textContent = 'Updating preview...';
+    
+    getSourceData(imgObj)
+      .then(sourceData => {
+        const preview = createPreviewData(sourceData, imgObj.hints, 200);
+        
+        return segmentPreview(preview.imageData, {
+          hints: preview.hints,
+          params: preview.params,
+          colorSpace: settings.colorSpace,
+          signal: controller.signal
+        }).then(mask => ({ preview, mask }));
+      })
+      .then(({ preview, mask }) => {
+        const { imageData } = preview;
+        const data = imageData.data;
+        for (let i = 0; i < mask.length; i++) {
+          data[i * 4 + 3] = mask[i];
+        }
+        
+        maskPreviewCanvas.width = imageData.width;
+        maskPreviewCanvas.height = imageData.height;
+        ctx.putImageData(imageData, 0, 0);
+        maskPreviewStatus.textContent = 'Preview (low resolution)';
+        maskPreviewController = null;
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error('Mask preview error:', error);
+        maskPreviewStatus.textContent = 'Preview failed';
+      });
+  }
+  
+  // Downscale source pixels and hints to fit `maxSize`. Region-size settings
+  // are scaled by the change in area so the preview behaves like the full run.
+  function createPreviewData(sourceData, hints, maxSize) {
+    const { width, height } = sourceData;
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const previewWidth = Math.max(1, Math.round(width * scale));
+    const previewHeight = Math.max(1, Math.round(height * scale));
+    
+    const sourceCanvas = createCanvas(width, height);
+    sourceCanvas.getContext('2d').putImageData(sourceData, 0, 0);
+    const previewCanvas = createCanvas(previewWidth, previewHeight);
+    const ctx = previewCanvas.getContext('2d');
+    ctx.drawImage(sourceCanvas, 0, 0, previewWidth, previewHeight);
+    
+    let previewHints = null;
+    if (hints) {
+      previewHints = new Uint8Array(previewWidth * previewHeight);
+      for (let y = 0; y < previewHeight; y++) {
+        const sy = Math.min(height - 1, Math.floor(y / scale));
+        for (let x = 0; x < previewWidth; x++) {
+          previewHints[y * previewWidth + x] = hints[sy * width + Math.min(width - 1, Math.floor(x / scale))];
+        }
+      }
+    }
+    
+    const area = scale * scale;
+    const params = {
+      ...settings.removal,
+      maxHoleSize: Math.round(settings.removal.maxHoleSize * area),
+      minTransparentRegion: Math.round(settings.removal.minTransparentRegion * area),
+      minOpaqueRegion: Math.round(settings.removal.minOpaqueRegion * area)
+    };
+    
+    return {
+      imageData: ctx.getImageData(0, 0, previewWidth, previewHeight),
+      hints: previewHints,
+      params
+    };
+  }
+  
+  // Show only the settings that apply to the current choices
+  function updateSettingsVisibility() {
+    settingsPanel.querySelectorAll('[data-show-when]').forEach(element => {
+      const [path, value] = element.dataset.showWhen.split('=');
+      element.classList.toggle('hidden', String(getSetting(settings, path)) !== value);
+    });
+  }
+  
+  // Keyboard shortcuts should not fire while typing into a form field
+  function isEditableTarget(target) {
+    return target instanceof HTMLElement &&
+      (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+  }
+  
+  initSettingsPanel();
+  initBrushControls();
+  initPanning();
+  initTouchZoom();
+  initNavigator();
+  initExportDialog();
+  initCropDialog();
+  initBatchDialog();
+  viewModeSelect.value = settings.view.mode;
+  viewColorInput.value = settings.view.color;
+  viewColorInput.classList.toggle('hidden', settings.view.mode !== 'solid');
+  updateDefringeStrengthLabel();
+  wandTolerance.value = settings.selection.tolerance;
+  updateWandToleranceLabel();
+  updateBackgroundControls();
+  syncShadowControls();
+  updateBlurLabels();
+  updateHistoryButtons();
 }
 
 // Initialize the app when the DOM is loaded
@@ -0,0 +1,116 @@
+// Alpha mask helpers
+//
+// A mask holds one 0-255 value per image pixel (0 = removed, 255 = kept).
+// Images without edits have a null mask, which stands for fully opaque.
+// Masks are treated as immutable: edits return a new array so that history
+// snapshots can keep references to older ones.
+
+// Create a mask filled with a single value
+export function createMask(width, height, value = 255) {
+  const mask = new Uint8ClampedArray(width * height);
+  if (value !== 0) mask.fill(value);
+  return mask;
+}
+
+// Copy a mask, expanding a null mask to fully opaque
+export function cloneMask(mask, width, height) {
+  return mask ? new Uint8ClampedArray(mask) : createMask(width, height);
+}
+
+// Approximate distance in pixels from each pixel to the nearest kept pixel
+// (value >= 128), using a two-pass 3-4 chamfer transform
+export function distanceFromMask(mask, width, height) {
+  const distance = new Float32Array(width * height);
+  const far = (width + height) * 3;
+
+  for (let i = 0; i < distance.length; i++) {
+    distance[i] = mask[i] >= 128 ? 0 : far;
+  }
+
+  const relax = (i, x, y, dx, dy, cost) => {
+    const nx = x + dx;
+    const ny = y + dy;
+    if (nx < 0 || nx >= width || ny < 0 || ny >= height) return;
+    const candidate = distance[ny * width + nx] + cost;
+    if (candidate < distance[i]) distance[i] = candidate;
+  };
+
+  // Forward pass from the top left, backward pass from the bottom right
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      relax(i, x, y, -1, 0, 3);
+      relax(i, x, y, -1, -1, 4);
+      relax(i, x, y, 0, -1, 3);
+      relax(i, x, y, 1, -1, 4);
+    }
+  }
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = width - 1; x >= 0; x--) {
+      const i = y * width + x;
+      relax(i, x, y, 1, 0, 3);
+      relax(i, x, y, 1, 1, 4);
+      relax(i, x, y, 0, 1, 3);
+      relax(i, x, y, -1, 1, 4);
+    }
+  }
+
+  for (let i = 0; i < distance.length; i++) {
+    distance[i] /= 3;
+  }
+  return distance;
+}
+
+// Soften mask edges with a separable box blur of the given radius
+export function featherMask(mask, width, height, radius) {
+  const result = cloneMask(mask, width, height);
+  if (radius < 1) return result;
+
+  const temp = new Float32Array(width * height);
+  const r = Math.round(radius);
+
+  // Horizontal pass
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let sum = 0;
+    let count = 0;
+
+    for (let x = -r; x < width; x++) {
+      const add = x + r;
+      const remove = x - r - 1;
+
+      if (add < width) {
+        sum += result[row + add];
+        count++;
+      }
+      if (remove >= 0) {
+        sum -= result[row + remove];
+        count--;
+      }
+      if (x >= 0) temp[row + x] = sum / count;
+    }
+  }
+
+  // Vertical pass
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    let count = 0;
+
+    for (let y = -r; y < height; y++) {
+      const add = y + r;
+      const remove = y - r - 1;
+
+      if (add < height) {
+        sum += temp[add * width + x];
+        count++;
+      }
+      if (remove >= 0) {
+        sum -= temp[remove * width + x];
+        count--;
+      }
+      if (y >= 0) result[y * width + x] = Math.round(sum / count);
+    }
+  }
+
+  return result;
+}
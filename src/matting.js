@@ -0,0 +1,264 @@
+// Soft alpha matting
+//
+// Turns a hard cut-out into fractional alpha along the subject's edge, for
+// hair, fur and semi-transparent fabric. A trimap is built from the current
+// mask: pixels near the boundary (or inside a user-marked region) are
+// "unknown", everything else is known foreground or background.
+//
+// Alpha for unknown pixels is estimated by sampling, after Gastal and
+// Oliveira's "Shared Sampling for Real-Time Alpha Matting" (2010): rays cast
+// from each unknown pixel collect nearby known foreground and background
+// colours, the pair that best explains the pixel's colour as a blend gives
+// its alpha, and a final pass smooths alpha between similar neighbours.
+
+const RAY_COUNT = 8; // Directions searched for known samples
+const MAX_RAY_LENGTH = 80; // Pixels walked along each ray
+const SMOOTH_RADIUS = 2; // Neighbourhood of the smoothing pass
+
+// Trimap labels
+const BACKGROUND = 0;
+const FOREGROUND = 1;
+const UNKNOWN = 2;
+
+// Estimate soft alpha along the edges of `mask`. Returns a new mask.
+// Options:
+//   bandWidth - width in pixels of the unknown band on each side of the edge
+//   region - optional map of user-marked pixels (non-zero = refine); when
+//            given, only the marked pixels are treated as unknown
+//   onProgress(stage, fraction) - called as the stages advance
+export function refineAlpha(imageData, mask, { bandWidth = 6, region = null, onProgress = () => {} } = {}) {
+  const { width, height, data } = imageData;
+
+  onProgress('Building trimap', 0);
+  const trimap = region ? createRegionTrimap(mask, region) : createBandTrimap(mask, width, height, bandWidth);
+
+  onProgress('Estimating alpha', 0.1);
+  const { alpha, confidence } = estimateAlpha(data, trimap, mask, width, height, onProgress);
+
+  onProgress('Smoothing alpha', 0.85);
+  const result = smoothAlpha(data, trimap, alpha, confidence, width, height);
+
+  onProgress('Done', 1);
+  return result;
+}
+
+// Unknown band of `bandWidth` pixels around the mask's boundary
+function createBandTrimap(mask, width, height, bandWidth) {
+  const totalPixels = width * height;
+  const trimap = new Uint8Array(totalPixels);
+  const distance = new Int32Array(totalPixels).fill(-1);
+  const queue = [];
+
+  // Start from pixels that have a neighbour on the other side of the edge
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const inside = mask[i] >= 128;
+      trimap[i] = inside ? FOREGROUND : BACKGROUND;
+
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+        if ((mask[ny * width + nx] >= 128) !== inside) {
+          distance[i] = 0;
+          queue.push(i);
+          break;
+        }
+      }
+    }
+  }
+
+  // Grow the band outwards breadth-first
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    trimap[current] = UNKNOWN;
+    if (distance[current] >= bandWidth - 1) continue;
+
+    const x = current % width;
+    const y = Math.floor(current / width);
+
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+      const ni = ny * width + nx;
+      if (distance[ni] === -1) {
+        distance[ni] = distance[current] + 1;
+        queue.push(ni);
+      }
+    }
+  }
+
+  return trimap;
+}
+
+// Unknown wherever the user marked, known elsewhere
+function createRegionTrimap(mask, region) {
+  const trimap = new Uint8Array(mask.length);
+
+  for (let i = 0; i < mask.length; i++) {
+    if (region[i]) {
+      trimap[i] = UNKNOWN;
+    } else {
+      trimap[i] = mask[i] >= 128 ? FOREGROUND : BACKGROUND;
+    }
+  }
+
+  return trimap;
+}
+
+// Pick the best foreground/background sample pair for every unknown pixel
+function estimateAlpha(data, trimap, mask, width, height, onProgress) {
+  const totalPixels = width * height;
+  const alpha = new Uint8ClampedArray(mask);
+  const confidence = new Float32Array(totalPixels);
+  const progressStep = Math.max(1, Math.floor(height / 20));
+
+  const fgSamples = [];
+  const bgSamples = [];
+
+  for (let y = 0; y < height; y++) {
+    if (y % progressStep === 0) {
+      onProgress('Estimating alpha', 0.1 + 0.75 * y / height);
+    }
+
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (trimap[i] !== UNKNOWN) {
+        confidence[i] = 1;
+        continue;
+      }
+
+      // Rotate the rays from pixel to pixel so neighbours see different samples
+      const rotation = ((x * 7 + y * 13) % 16) / 16;
+      fgSamples.length = 0;
+      bgSamples.length = 0;
+
+      for (let k = 0; k < RAY_COUNT; k++) {
+        const angle = (k + rotation) * 2 * Math.PI / RAY_COUNT;
+        castRay(trimap, width, height, x, y, Math.cos(angle), Math.sin(angle), fgSamples, bgSamples);
+      }
+
+      if (fgSamples.length === 0 || bgSamples.length === 0) {
+        // Nothing to blend between; the pixel takes the side that was found
+        if (fgSamples.length > 0) alpha[i] = 255;
+        else if (bgSamples.length > 0) alpha[i] = 0;
+        confidence[i] = 0.5;
+        continue;
+      }
+
+      const idx = i * 4;
+      const r = data[idx];
+      const g = data[idx + 1];
+      const b = data[idx + 2];
+
+      let bestAlpha = mask[i] / 255;
+      let bestCost = Infinity;
+
+      for (const fg of fgSamples) {
+        const fIdx = fg.index * 4;
+        const fr = data[fIdx];
+        const fgG = data[fIdx + 1];
+        const fb = data[fIdx + 2];
+
+        for (const bg of bgSamples) {
+          const bIdx = bg.index * 4;
+          const br = data[bIdx];
+          const bgG = data[bIdx + 1];
+          const bb = data[bIdx + 2];
+
+          // Project the pixel's colour onto the line between the samples
+          const dr = fr - br;
+          const dg = fgG - bgG;
+          const db = fb - bb;
+          const length = dr * dr + dg * dg + db * db;
+          let a = length > 0 ? ((r - br) * dr + (g - bgG) * dg + (b - bb) * db) / length : 0.5;
+          a = Math.min(1, Math.max(0, a));
+
+          // How well the blend reproduces the pixel, plus a small preference
+          // for nearby samples
+          const er = r - (a * fr + (1 - a) * br);
+          const eg = g - (a * fgG + (1 - a) * bgG);
+          const eb = b - (a * fb + (1 - a) * bb);
+          const cost = Math.sqrt(er * er + eg * eg + eb * eb) + 0.5 * (fg.distance + bg.distance) / MAX_RAY_LENGTH;
+
+          if (cost < bestCost) {
+            bestCost = cost;
+            bestAlpha = a;
+          }
+        }
+      }
+
+      alpha[i] = Math.round(bestAlpha * 255);
+      confidence[i] = Math.exp(-bestCost * bestCost / 200);
+    }
+  }
+
+  return { alpha, confidence };
+}
+
+// Walk from (x, y) in direction (dx, dy), recording the first known
+// foreground and background pixels met
+function castRay(trimap, width, height, x, y, dx, dy, fgSamples, bgSamples) {
+  let foundFg = false;
+  let foundBg = false;
+
+  for (let step = 1; step <= MAX_RAY_LENGTH && !(foundFg && foundBg); step++) {
+    const sx = Math.round(x + dx * step);
+    const sy = Math.round(y + dy * step);
+    if (sx < 0 || sx >= width || sy < 0 || sy >= height) break;
+
+    const si = sy * width + sx;
+    if (trimap[si] === FOREGROUND && !foundFg) {
+      fgSamples.push({ index: si, distance: step });
+      foundFg = true;
+    } else if (trimap[si] === BACKGROUND && !foundBg) {
+      bgSamples.push({ index: si, distance: step });
+      foundBg = true;
+    }
+  }
+}
+
+// Average alpha over similar-coloured neighbours, trusting confident
+// estimates more. Known pixels are left alone.
+function smoothAlpha(data, trimap, alpha, confidence, width, height) {
+  const result = new Uint8ClampedArray(alpha);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (trimap[i] !== UNKNOWN) continue;
+
+      const idx = i * 4;
+      let sum = 0;
+      let weightSum = 0;
+
+      for (let dy = -SMOOTH_RADIUS; dy <= SMOOTH_RADIUS; dy++) {
+        for (let dx = -SMOOTH_RADIUS; dx <= SMOOTH_RADIUS; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+          const ni = ny * width + nx;
+          const nidx = ni * 4;
+          const cr = data[idx] - data[nidx];
+          const cg = data[idx + 1] - data[nidx + 1];
+          const cb = data[idx + 2] - data[nidx + 2];
+          const colorWeight = Math.exp(-(cr * cr + cg * cg + cb * cb) / 800);
+          const spatialWeight = 1 / (1 + dx * dx + dy * dy);
+          const weight = colorWeight * spatialWeight * (0.1 + confidence[ni]);
+
+          sum += alpha[ni] * weight;
+          weightSum += weight;
+        }
+      }
+
+      if (weightSum > 0) result[i] = Math.round(sum / weightSum);
+    }
+  }
+
+  return result;
+}
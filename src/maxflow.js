@@ -0,0 +1,333 @@
+// Min-cut / max-flow on sparse graphs
+//
+// Boykov-Kolmogorov augmenting-path algorithm ("An Experimental Comparison of
+// Min-Cut/Max-Flow Algorithms for Energy Minimization in Vision", 2004). It
+// grows search trees from the source and the sink and reuses them between
+// augmentations, which makes it fast on the grid graphs used for images.
+//
+// Arcs are stored in pairs, so arc `a ^ 1` is the reverse of arc `a`. A
+// node's parent is the arc leading from it towards its tree's terminal.
+
+const NONE = -1;
+const TERMINAL = -2;
+const ORPHAN = -3;
+
+// Create a graph with room for `maxEdges` edges (each edge is two arcs)
+export function createGraph(nodeCount, maxEdges) {
+  return {
+    nodeCount,
+    edgeCount: 0,
+    flow: 0,
+    firstArc: new Int32Array(nodeCount).fill(NONE),
+    terminalCap: new Float64Array(nodeCount), // > 0: from source, < 0: to sink
+    arcHead: new Int32Array(maxEdges * 2),
+    arcNext: new Int32Array(maxEdges * 2),
+    arcCap: new Float64Array(maxEdges * 2),
+    parent: null,
+    isSink: null
+  };
+}
+
+// Add an edge between two nodes with a capacity in each direction
+export function addEdge(graph, i, j, capacity, reverseCapacity) {
+  const a = graph.edgeCount * 2;
+  graph.edgeCount++;
+
+  graph.arcHead[a] = j;
+  graph.arcCap[a] = capacity;
+  graph.arcNext[a] = graph.firstArc[i];
+  graph.firstArc[i] = a;
+
+  graph.arcHead[a + 1] = i;
+  graph.arcCap[a + 1] = reverseCapacity;
+  graph.arcNext[a + 1] = graph.firstArc[j];
+  graph.firstArc[j] = a + 1;
+}
+
+// Connect a node to the source and the sink. Only the difference needs to be
+// kept in the graph; the common part is cut whichever side the node ends on.
+export function addTerminalWeights(graph, i, sourceCapacity, sinkCapacity) {
+  graph.flow += Math.min(sourceCapacity, sinkCapacity);
+  graph.terminalCap[i] += sourceCapacity - sinkCapacity;
+}
+
+// Run max-flow and return its value. Afterwards `isSourceSide()` tells
+// which side of the minimum cut each node is on.
+export function computeMaxFlow(graph) {
+  const { nodeCount, firstArc, terminalCap, arcHead, arcNext, arcCap } = graph;
+  const parent = new Int32Array(nodeCount).fill(NONE);
+  const isSink = new Uint8Array(nodeCount);
+  const timestamp = new Int32Array(nodeCount);
+  const dist = new Int32Array(nodeCount);
+  const isActive = new Uint8Array(nodeCount);
+
+  let active = [];
+  let activeHead = 0;
+  let orphans = [];
+  let time = 0;
+
+  function setActive(i) {
+    if (!isActive[i]) {
+      isActive[i] = 1;
+      active.push(i);
+    }
+  }
+
+  function nextActive() {
+    while (activeHead < active.length) {
+      const i = active[activeHead++];
+      isActive[i] = 0;
+      if (parent[i] !== NONE) return i;
+    }
+    active = [];
+    activeHead = 0;
+    return NONE;
+  }
+
+  function makeOrphan(i) {
+    parent[i] = ORPHAN;
+    orphans.push(i);
+  }
+
+  // Every node connected to a terminal starts as a root of that tree
+  for (let i = 0; i < nodeCount; i++) {
+    if (terminalCap[i] !== 0) {
+      isSink[i] = terminalCap[i] < 0 ? 1 : 0;
+      parent[i] = TERMINAL;
+      dist[i] = 1;
+      setActive(i);
+    }
+  }
+
+  let current = NONE;
+
+  while (true) {
+    // Growth: extend the trees until they touch
+    let i = current !== NONE && parent[current] !== NONE ? current : nextActive();
+    let middleArc = NONE;
+    current = NONE;
+
+    while (i !== NONE) {
+      if (!isSink[i]) {
+        for (let a = firstArc[i]; a !== NONE; a = arcNext[a]) {
+          if (arcCap[a] === 0) continue;
+          const j = arcHead[a];
+
+          if (parent[j] === NONE) {
+            isSink[j] = 0;
+            parent[j] = a ^ 1;
+            timestamp[j] = timestamp[i];
+            dist[j] = dist[i] + 1;
+            setActive(j);
+          } else if (isSink[j]) {
+            middleArc = a;
+            break;
+          } else if (timestamp[j] <= timestamp[i] && dist[j] > dist[i]) {
+            // Prefer shorter paths to the terminal
+            parent[j] = a ^ 1;
+            timestamp[j] = timestamp[i];
+            dist[j] = dist[i] + 1;
+          }
+        }
+      } else {
+        for (let a = firstArc[i]; a !== NONE; a = arcNext[a]) {
+          if (arcCap[a ^ 1] === 0) continue;
+          const j = arcHead[a];
+
+          if (parent[j] === NONE) {
+            isSink[j] = 1;
+            parent[j] = a ^ 1;
+            timestamp[j] = timestamp[i];
+            dist[j] = dist[i] + 1;
+            setActive(j);
+          } else if (!isSink[j]) {
+            middleArc = a ^ 1;
+            break;
+          } else if (timestamp[j] <= timestamp[i] && dist[j] > dist[i]) {
+            parent[j] = a ^ 1;
+            timestamp[j] = timestamp[i];
+            dist[j] = dist[i] + 1;
+          }
+        }
+      }
+
+      if (middleArc !== NONE) {
+        current = i;
+        break;
+      }
+      i = nextActive();
+    }
+
+    if (middleArc === NONE) break;
+
+    // Augmentation: push the bottleneck capacity along the path found
+    time++;
+    augment(middleArc);
+
+    // Adoption: find new parents for nodes cut off from their tree
+    for (let k = 0; k < orphans.length; k++) {
+      const orphan = orphans[k];
+      if (isSink[orphan]) {
+        adoptSinkOrphan(orphan);
+      } else {
+        adoptSourceOrphan(orphan);
+      }
+    }
+    orphans = [];
+  }
+
+  graph.parent = parent;
+  graph.isSink = isSink;
+  return graph.flow;
+
+  function augment(middleArc) {
+    const sourceNode = arcHead[middleArc ^ 1];
+    const sinkNode = arcHead[middleArc];
+    let bottleneck = arcCap[middleArc];
+
+    for (let i = sourceNode; parent[i] !== TERMINAL; i = arcHead[parent[i]]) {
+      bottleneck = Math.min(bottleneck, arcCap[parent[i] ^ 1]);
+    }
+    for (let i = sinkNode; parent[i] !== TERMINAL; i = arcHead[parent[i]]) {
+      bottleneck = Math.min(bottleneck, arcCap[parent[i]]);
+    }
+    bottleneck = Math.min(bottleneck, terminalCap[rootOf(sourceNode)], -terminalCap[rootOf(sinkNode)]);
+
+    arcCap[middleArc ^ 1] += bottleneck;
+    arcCap[middleArc] -= bottleneck;
+
+    let i = sourceNode;
+    while (parent[i] !== TERMINAL) {
+      const a = parent[i];
+      const next = arcHead[a];
+      arcCap[a] += bottleneck;
+      arcCap[a ^ 1] -= bottleneck;
+      if (arcCap[a ^ 1] === 0) makeOrphan(i);
+      i = next;
+    }
+    terminalCap[i] -= bottleneck;
+    if (terminalCap[i] === 0) makeOrphan(i);
+
+    i = sinkNode;
+    while (parent[i] !== TERMINAL) {
+      const a = parent[i];
+      const next = arcHead[a];
+      arcCap[a ^ 1] += bottleneck;
+      arcCap[a] -= bottleneck;
+      if (arcCap[a] === 0) makeOrphan(i);
+      i = next;
+    }
+    terminalCap[i] += bottleneck;
+    if (terminalCap[i] === 0) makeOrphan(i);
+
+    graph.flow += bottleneck;
+  }
+
+  function rootOf(i) {
+    while (parent[i] !== TERMINAL) i = arcHead[parent[i]];
+    return i;
+  }
+
+  // Distance from a node to its terminal, or -1 if its path leads to an orphan
+  function distanceToTerminal(j) {
+    let d = 0;
+    let k = j;
+
+    while (true) {
+      if (timestamp[k] === time) return d + dist[k];
+      const a = parent[k];
+      d++;
+      if (a === TERMINAL) {
+        timestamp[k] = time;
+        dist[k] = 1;
+        return d;
+      }
+      if (a === ORPHAN || a === NONE) return -1;
+      k = arcHead[a];
+    }
+  }
+
+  // Stamp the nodes on a verified path so later checks can stop early
+  function markPath(j, d) {
+    for (let k = j; timestamp[k] !== time; k = arcHead[parent[k]]) {
+      timestamp[k] = time;
+      dist[k] = d--;
+    }
+  }
+
+  function adoptSourceOrphan(i) {
+    let bestArc = NONE;
+    let bestDist = Infinity;
+
+    for (let a = firstArc[i]; a !== NONE; a = arcNext[a]) {
+      if (arcCap[a ^ 1] === 0) continue;
+      const j = arcHead[a];
+      if (isSink[j] || parent[j] === NONE) continue;
+
+      const d = distanceToTerminal(j);
+      if (d < 0) continue;
+      if (d < bestDist) {
+        bestArc = a;
+        bestDist = d;
+      }
+      markPath(j, d);
+    }
+
+    if (bestArc !== NONE) {
+      parent[i] = bestArc;
+      timestamp[i] = time;
+      dist[i] = bestDist + 1;
+      return;
+    }
+
+    // No valid parent: the node becomes free and its children orphans
+    for (let a = firstArc[i]; a !== NONE; a = arcNext[a]) {
+      const j = arcHead[a];
+      if (isSink[j] || parent[j] === NONE) continue;
+
+      if (arcCap[a ^ 1] !== 0) setActive(j);
+      if (parent[j] >= 0 && arcHead[parent[j]] === i) makeOrphan(j);
+    }
+    parent[i] = NONE;
+  }
+
+  function adoptSinkOrphan(i) {
+    let bestArc = NONE;
+    let bestDist = Infinity;
+
+    for (let a = firstArc[i]; a !== NONE; a = arcNext[a]) {
+      if (arcCap[a] === 0) continue;
+      const j = arcHead[a];
+      if (!isSink[j] || parent[j] === NONE) continue;
+
+      const d = distanceToTerminal(j);
+      if (d < 0) continue;
+      if (d < bestDist) {
+        bestArc = a;
+        bestDist = d;
+      }
+      markPath(j, d);
+    }
+
+    if (bestArc !== NONE) {
+      parent[i] = bestArc;
+      timestamp[i] = time;
+      dist[i] = bestDist + 1;
+      return;
+    }
+
+    for (let a = firstArc[i]; a !== NONE; a = arcNext[a]) {
+      const j = arcHead[a];
+      if (!isSink[j] || parent[j] === NONE) continue;
+
+      if (arcCap[a] !== 0) setActive(j);
+      if (parent[j] >= 0 && arcHead[parent[j]] === i) makeOrphan(j);
+    }
+    parent[i] = NONE;
+  }
+}
+
+// After computeMaxFlow: whether a node is on the source side of the cut
+export function isSourceSide(graph, i) {
+  return graph.parent[i] !== NONE && !graph.isSink[i];
+}
@@ -0,0 +1,144 @@
+// ONNX matting worker
+//
+// Runs a salient-object / matting model (U²-Net or MODNet class) with
+// onnxruntime-web's single-threaded WASM backend. The soft matte it predicts
+// is scaled to the source size and fed through the same post-processing as
+// the local segmentation pipeline.
+import * as ort from 'onnxruntime-web';
+import { postProcessResult } from './segmentation.js';
+
+// Threaded WASM needs cross-origin isolation, which a static host may not have
+ort.env.wasm.numThreads = 1;
+
+// Loaded sessions by model URL, kept for the life of the worker
+const sessions = new Map();
+
+self.onmessage = function(event) {
+  const { id, imageData, model } = event.data;
+  const report = (stage, progress) => self.postMessage({ id, type: 'progress', stage, progress });
+
+  report('Loading model', 0);
+
+  getSession(model.url)
+    .then(session => {
+      report('Running model', 0.3);
+
+      const input = createInputTensor(imageData, model);
+      return session.run({ [session.inputNames[0]]: input })
+        .then(outputs => outputs[session.outputNames[0]]);
+    })
+    .then(output => {
+      report('Post-processing', 0.8);
+
+      const [outHeight, outWidth] = output.dims.slice(-2);
+      const matte = normalizeMatte(output.data, model.normalizeOutput);
+      const mask = resizeMatte(matte, outWidth, outHeight, imageData.width, imageData.height);
+
+      // Snap near-binary values so small-region cleanup sees clear background
+      for (let i = 0; i < mask.length; i++) {
+        if (mask[i] < 8) mask[i] = 0;
+        else if (mask[i] > 247) mask[i] = 255;
+      }
+      postProcessResult(mask, imageData.width, imageData.height);
+
+      report('Done', 1);
+      self.postMessage({ id, type: 'result', mask }, [mask.buffer]);
+    })
+    .catch(error => {
+      self.postMessage({ id, type: 'error', message: error.message });
+    });
+};
+
+function getSession(url) {
+  if (!sessions.has(url)) {
+    const loading = ort.InferenceSession.create(url, { executionProviders: ['wasm'] });
+    // Forget failed loads so a corrected model file can be retried
+    loading.catch(() => sessions.delete(url));
+    sessions.set(url, loading);
+  }
+  return sessions.get(url);
+}
+
+// Resize the image to the model's square input and normalize it into a
+// float32 NCHW tensor
+function createInputTensor(imageData, model) {
+  const size = model.inputSize;
+  const { width, height, data } = imageData;
+  const plane = size * size;
+  const tensor = new Float32Array(3 * plane);
+
+  const scaleX = width / size;
+  const scaleY = height / size;
+
+  for (let y = 0; y < size; y++) {
+    const sy = Math.min(height - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const fy = sy - y0;
+
+    for (let x = 0; x < size; x++) {
+      const sx = Math.min(width - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(width - 1, x0 + 1);
+      const fx = sx - x0;
+
+      for (let c = 0; c < 3; c++) {
+        const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+        const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+        const value = (top * (1 - fy) + bottom * fy) / 255;
+
+        tensor[c * plane + y * size + x] = (value - model.mean[c]) / model.std[c];
+      }
+    }
+  }
+
+  return new ort.Tensor('float32', tensor, [1, 3, size, size]);
+}
+
+// Bring the raw model output into 0..1, optionally stretching it to the full range
+function normalizeMatte(values, stretch) {
+  const matte = new Float32Array(values.length);
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (let i = 0; i < values.length; i++) {
+    min = Math.min(min, values[i]);
+    max = Math.max(max, values[i]);
+  }
+
+  const range = stretch && max > min ? max - min : 1;
+  const offset = stretch ? min : 0;
+
+  for (let i = 0; i < values.length; i++) {
+    matte[i] = Math.min(1, Math.max(0, (values[i] - offset) / range));
+  }
+
+  return matte;
+}
+
+// Bilinearly scale a 0..1 matte to the target size as 0-255 alpha values
+function resizeMatte(matte, srcWidth, srcHeight, width, height) {
+  const alpha = new Uint8ClampedArray(width * height);
+  const scaleX = srcWidth / width;
+  const scaleY = srcHeight / height;
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(srcHeight - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(srcHeight - 1, y0 + 1);
+    const fy = sy - y0;
+
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(srcWidth - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(srcWidth - 1, x0 + 1);
+      const fx = sx - x0;
+
+      const top = matte[y0 * srcWidth + x0] * (1 - fx) + matte[y0 * srcWidth + x1] * fx;
+      const bottom = matte[y1 * srcWidth + x0] * (1 - fx) + matte[y1 * srcWidth + x1] * fx;
+      alpha[y * width + x] = Math.round((top * (1 - fy) + bottom * fy) * 255);
+    }
+  }
+
+  return alpha;
+}
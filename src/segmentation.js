@@ -0,0 +1,743 @@
+// Background segmentation
+//
+// Pure functions over RGBA pixel data, with no DOM access, so they can run
+// inside the segmentation worker. Segmentation masks use 0 for definite
+// background, 2 for probable foreground and 3 for definite foreground.
+//
+// Colours are compared in a configurable colour space (see colorSpace.js).
+// Pixels are converted once per run; stages read the converted `colors`
+// array (three channels per pixel) and compare with `space.distance()`.
+import { getColorSpace } from './colorSpace.js';
+
+// Values of a hint map: one byte per pixel marking user "keep" and
+// "discard" strokes
+export const HINT_NONE = 0;
+export const HINT_KEEP = 1;
+export const HINT_DISCARD = 2;
+
+// Tunable thresholds of the pipeline (colour distances in RGB-equivalent units)
+export const DEFAULT_PARAMS = {
+  edgeDistance: 30, // Pixels this close to an edge colour are background
+  contrastThreshold: 60, // Neighbour contrast that marks text and fine detail
+  uniformDistance: 20, // Colour distance counted as "similar" in a neighbourhood
+  uniformRatio: 0.75, // Share of similar neighbours that makes a region uniform
+  maxHoleSize: 1000, // Enclosed background regions up to this size are filled
+  minTransparentRegion: 200, // Smaller enclosed transparent regions are made opaque
+  minOpaqueRegion: 100 // Smaller isolated opaque regions are removed
+};
+
+// Parameter sets for common kinds of image
+export const PARAM_PRESETS = {
+  balanced: {
+    label: 'Balanced',
+    params: DEFAULT_PARAMS
+  },
+  product: {
+    label: 'Product on white',
+    params: {
+      edgeDistance: 40,
+      contrastThreshold: 60,
+      uniformDistance: 20,
+      uniformRatio: 0.75,
+      maxHoleSize: 400,
+      minTransparentRegion: 200,
+      minOpaqueRegion: 400
+    }
+  },
+  portrait: {
+    label: 'Portrait',
+    params: {
+      edgeDistance: 25,
+      contrastThreshold: 45,
+      uniformDistance: 25,
+      uniformRatio: 0.7,
+      maxHoleSize: 4000,
+      minTransparentRegion: 500,
+      minOpaqueRegion: 150
+    }
+  },
+  text: {
+    label: 'Text / logo',
+    params: {
+      edgeDistance: 35,
+      contrastThreshold: 40,
+      uniformDistance: 15,
+      uniformRatio: 0.8,
+      maxHoleSize: 0,
+      minTransparentRegion: 10,
+      minOpaqueRegion: 10
+    }
+  }
+};
+
+// Production-ready background removal algorithm.
+// Returns an alpha mask; the image data itself is left untouched.
+// Options:
+//   hints - optional hint map; marked pixels are fixed as foreground or
+//           background before the segmentation is refined
+//   params - thresholds overriding DEFAULT_PARAMS
+//   colorSpace - id of the colour space to compare colours in ('rgb',
+//           'lab76' or 'lab2000')
+//   onProgress(stage, fraction) - called as each stage starts and during
+//           the slower passes
+export function removeBackgroundPro(imageData, width, height, {
+  hints = null,
+  params = {},
+  colorSpace = 'rgb',
+  onProgress = () => {}
+} = {}) {
+  const alpha = new Uint8ClampedArray(width * height);
+  params = { ...DEFAULT_PARAMS, ...params };
+  
+  // Convert every pixel once, up front
+  const space = getColorSpace(colorSpace);
+  const colors = space.convert(imageData.data, width * height);
+  
+  // Step 1: Create a binary mask for the image
+  const mask = createInitialMask(colors, space, width, height, hints, params, onProgress);
+  
+  // User hints override the automatic guess
+  if (hints) applyHintsToMask(mask, hints);
+  
+  // Step 2: Apply GrabCut-inspired segmentation
+  onProgress('Refining segmentation', 0.7);
+  refineSegmentation(mask, colors, space, width, height);
+  
+  // Step 3: Convert the segmentation into alpha values
+  applyMaskToAlpha(mask, alpha, width, height);
+  
+  // Step 4: Post-process the result
+  onProgress('Cleaning up edges', 0.85);
+  postProcessResult(alpha, width, height, params);
+  
+  // Clean-up must not undo what the user marked
+  if (hints) applyHintsToAlpha(alpha, hints);
+  
+  onProgress('Done', 1);
+  return alpha;
+}
+
+// Create initial mask using color-based segmentation
+function createInitialMask(colors, space, width, height, hints, params, onProgress) {
+  const totalPixels = width * height;
+  const mask = new Uint8Array(totalPixels);
+  
+  // First pass: Mark edges as background
+  onProgress('Sampling edge colours', 0);
+  const edgeWidth = Math.max(10, Math.floor(Math.min(width, height) * 0.03));
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x);
+      
+      // Mark edges as definite background (0)
+      if (x < edgeWidth || x >= width - edgeWidth || 
+          y < edgeWidth || y >= height - edgeWidth) {
+        mask[idx] = 0; // Definite background
+      } else {
+        mask[idx] = 2; // Probable foreground
+      }
+    }
+  }
+  
+  // Second pass: Detect likely background based on color similarity to edges
+  const edgeColors = sampleEdgeColors(colors, space, width, height, edgeWidth, hints);
+  
+  for (let i = 0; i < totalPixels; i++) {
+    if (mask[i] === 0) continue; // Skip already marked background
+    
+    // Check if pixel is similar to edge colors
+    for (const edgeColor of edgeColors) {
+      const colorDistance = space.distance(colors, i * 3, edgeColor, 0);
+      if (colorDistance < params.edgeDistance) {
+        mask[i] = 0; // Mark as background
+        break;
+      }
+    }
+  }
+  
+  // Third pass: Detect clothing and text
+  detectClothingAndText(mask, colors, space, width, height, params, onProgress);
+  
+  return mask;
+}
+
+// Sample colors from the edges of the image. Pixels hinted as "keep" are
+// skipped, since a subject touching the frame is not background.
+function sampleEdgeColors(colors, space, width, height, edgeWidth, hints) {
+  const edgeColors = [];
+  const sampleStep = Math.max(1, Math.floor(Math.min(width, height) / 30));
+  
+  const addSample = (x, y) => {
+    const i = y * width + x;
+    if (hints && hints[i] === HINT_KEEP) return;
+    
+    edgeColors.push(colors.subarray(i * 3, i * 3 + 3));
+  };
+  
+  // Sample top and bottom edges
+  for (let x = 0; x < width; x += sampleStep) {
+    // Top edge
+    for (let y = 0; y < edgeWidth; y += sampleStep) {
+      addSample(x, y);
+    }
+    
+    // Bottom edge
+    for (let y = height - edgeWidth; y < height; y += sampleStep) {
+      addSample(x, y);
+    }
+  }
+  
+  // Sample left and right edges
+  for (let y = edgeWidth; y < height - edgeWidth; y += sampleStep) {
+    // Left edge
+    for (let x = 0; x < edgeWidth; x += sampleStep) {
+      addSample(x, y);
+    }
+    
+    // Right edge
+    for (let x = width - edgeWidth; x < width; x += sampleStep) {
+      addSample(x, y);
+    }
+  }
+  
+  // Cluster the edge colors to find dominant colors
+  return clusterColors(edgeColors, space, 30);
+}
+
+// Cluster colors (three-channel arrays) to find dominant colors
+function clusterColors(colors, space, threshold = 25, maxClusters = 5) {
+  if (colors.length === 0) return [];
+  
+  const clusters = [];
+  
+  for (const color of colors) {
+    let foundCluster = false;
+    
+    for (const cluster of clusters) {
+      const distance = space.distance(color, 0, cluster.center, 0);
+      if (distance < threshold) {
+        // Add to existing cluster
+        cluster.count++;
+        
+        // Update center (average)
+        for (let c = 0; c < 3; c++) {
+          cluster.center[c] += (color[c] - cluster.center[c]) / cluster.count;
+        }
+        
+        foundCluster = true;
+        break;
+      }
+    }
+    
+    if (!foundCluster) {
+      // Create new cluster
+      clusters.push({
+        center: Float32Array.from(color),
+        count: 1
+      });
+    }
+  }
+  
+  // Sort clusters by count (descending)
+  clusters.sort((a, b) => b.count - a.count);
+  
+  // Return centers of the top clusters
+  return clusters.slice(0, maxClusters).map(cluster => cluster.center);
+}
+
+// Detect clothing and text in the image
+function detectClothingAndText(mask, colors, space, width, height, params, onProgress) {
+  // Report row progress roughly every 5%
+  const progressStep = Math.max(1, Math.floor(height / 20));
+  
+  // Detect high contrast areas (likely text)
+  onProgress('Detecting text', 0.1);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      if (mask[i] === 0) continue; // Skip background
+      
+      // Check contrast with neighbors
+      let highContrast = false;
+      
+      // Check 8-connected neighbors
+      for (let dy = -1; dy <= 1 && !highContrast; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          
+          const nx = x + dx;
+          const ny = y + dy;
+          
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+          
+          const ni = ny * width + nx;
+          const contrast = space.distance(colors, i * 3, colors, ni * 3);
+          if (contrast > params.contrastThreshold) { // High contrast threshold
+            highContrast = true;
+            break;
+          }
+        }
+      }
+      
+      if (highContrast) {
+        mask[i] = 3; // Definite foreground (text)
+        
+        // Mark surrounding pixels as probable foreground
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            
+            const nx = x + dx;
+            const ny = y + dy;
+            
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            
+            const ni = ny * width + nx;
+            if (mask[ni] !== 3) { // Don't downgrade definite foreground
+              mask[ni] = 2; // Probable foreground
+            }
+          }
+        }
+      }
+    }
+  }
+  
+  // Detect uniform color regions (likely clothing)
+  for (let y = 0; y < height; y++) {
+    if (y % progressStep === 0) {
+      onProgress('Finding uniform regions', 0.25 + 0.35 * y / height);
+    }
+    
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (mask[i] === 0 || mask[i] === 3) continue; // Skip background and text
+      
+      if (isPartOfUniformRegion(colors, space, x, y, width, height, params)) {
+        mask[i] = 3; // Definite foreground (clothing)
+      }
+    }
+  }
+  
+  // Connect foreground regions
+  onProgress('Filling holes', 0.6);
+  connectForegroundRegions(mask, width, height, params);
+}
+
+// Check if pixel is part of a uniform color region
+function isPartOfUniformRegion(colors, space, x, y, width, height, params) {
+  const idx = (y * width + x) * 3;
+  const radius = 5;
+  let similarCount = 0;
+  let totalChecked = 0;
+  
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      
+      const nx = x + dx;
+      const ny = y + dy;
+      
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+      
+      const nidx = (ny * width + nx) * 3;
+      totalChecked++;
+      
+      const colorDistance = space.distance(colors, idx, colors, nidx);
+      if (colorDistance < params.uniformDistance) { // Similar color threshold
+        similarCount++;
+      }
+    }
+  }
+  
+  // If enough neighbors have similar color, it's a uniform region
+  return totalChecked > 0 && similarCount / totalChecked > params.uniformRatio;
+}
+
+// Connect foreground regions to avoid holes
+function connectForegroundRegions(mask, width, height, params) {
+  const tempMask = new Uint8Array(mask);
+  
+  // Dilate definite foreground
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      
+      if (tempMask[i] !== 3) continue; // Only dilate definite foreground
+      
+      // Mark 4-connected neighbors as foreground
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = x + dx;
+        const ny = y + dy;
+        
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        
+        const ni = ny * width + nx;
+        // Don't convert definite background or downgrade definite foreground
+        if (tempMask[ni] !== 0 && tempMask[ni] !== 3) {
+          mask[ni] = 2; // Probable foreground
+        }
+      }
+    }
+  }
+  
+  // Fill holes in foreground
+  fillHoles(mask, width, height, params.maxHoleSize);
+}
+
+// Fill small holes in the foreground
+function fillHoles(mask, width, height, maxHoleSize) {
+  const totalPixels = width * height;
+  const visited = new Uint8Array(totalPixels);
+  
+  // Find connected background regions
+  for (let i = 0; i < totalPixels; i++) {
+    if (visited[i] || mask[i] !== 0) continue;
+    
+    const region = [];
+    const queue = [i];
+    visited[i] = 1;
+    
+    let touchesEdge = false;
+    
+    // Read the queue by index; shift() would make the fill quadratic
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      region.push(current);
+      
+      const x = current % width;
+      const y = Math.floor(current / width);
+      
+      // Check if region touches the edge
+      if (x === 0 || x === width - 1 || y === 0 || y === height - 1) {
+        touchesEdge = true;
+      }
+      
+      // Check 4-connected neighbors
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = x + dx;
+        const ny = y + dy;
+        
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        
+        const ni = ny * width + nx;
+        
+        if (!visited[ni] && mask[ni] === 0) {
+          visited[ni] = 1;
+          queue.push(ni);
+        }
+      }
+    }
+    
+    // If region doesn't touch the edge and is small, fill it
+    if (!touchesEdge && region.length < maxHoleSize) {
+      for (const idx of region) {
+        mask[idx] = 2; // Convert to probable foreground
+      }
+    }
+  }
+}
+
+// Refine segmentation using GrabCut-inspired approach
+function refineSegmentation(mask, colors, space, width, height) {
+  const totalPixels = width * height;
+  
+  // Build color models for foreground and background
+  const fgColors = [];
+  const bgColors = [];
+  
+  for (let i = 0; i < totalPixels; i++) {
+    const color = colors.subarray(i * 3, i * 3 + 3);
+    
+    if (mask[i] === 3) { // Definite foreground
+      fgColors.push(color);
+    } else if (mask[i] === 0) { // Definite background
+      bgColors.push(color);
+    }
+  }
+  
+  // Cluster foreground and background colors
+  const fgClusters = clusterColors(fgColors, space, 25, 10);
+  const bgClusters = clusterColors(bgColors, space, 25, 10);
+  
+  // Refine probable regions based on color models
+  for (let i = 0; i < totalPixels; i++) {
+    if (mask[i] !== 2) continue; // Only process probable regions
+    
+    // Find distance to nearest foreground and background cluster
+    let minFgDist = Infinity;
+    let minBgDist = Infinity;
+    
+    for (const cluster of fgClusters) {
+      const dist = space.distance(colors, i * 3, cluster, 0);
+      minFgDist = Math.min(minFgDist, dist);
+    }
+    
+    for (const cluster of bgClusters) {
+      const dist = space.distance(colors, i * 3, cluster, 0);
+      minBgDist = Math.min(minBgDist, dist);
+    }
+    
+    // Assign based on color similarity
+    if (minFgDist < minBgDist) {
+      mask[i] = 3; // Definite foreground
+    } else {
+      mask[i] = 0; // Definite background
+    }
+  }
+  
+  // Apply spatial coherence
+  applySpatialCoherence(mask, colors, space, width, height);
+}
+
+// Apply spatial coherence to ensure smooth regions
+function applySpatialCoherence(mask, colors, space, width, height) {
+  const tempMask = new Uint8Array(mask);
+  
+  // Smooth the mask using a voting scheme
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      
+      // Skip definite foreground and background
+      if (tempMask[i] === 3 || tempMask[i] === 0) continue;
+      
+      let fgCount = 0;
+      let bgCount = 0;
+      
+      // Count foreground and background neighbors
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          
+          const nx = x + dx;
+          const ny = y + dy;
+          
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+          
+          const ni = ny * width + nx;
+          
+          if (tempMask[ni] === 3) {
+            fgCount++;
+          } else if (tempMask[ni] === 0) {
+            bgCount++;
+          }
+        }
+      }
+      
+      // Assign based on majority vote
+      if (fgCount > bgCount) {
+        mask[i] = 3; // Foreground
+      } else if (bgCount > fgCount) {
+        mask[i] = 0; // Background
+      } else {
+        // If tied, use color similarity
+        let fgSimilarity = 0;
+        let bgSimilarity = 0;
+        
+        // Calculate color similarity to neighbors
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            
+            const nx = x + dx;
+            const ny = y + dy;
+            
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            
+            const ni = ny * width + nx;
+            const similarity = 255 - space.distance(colors, i * 3, colors, ni * 3);
+            
+            if (tempMask[ni] === 3) {
+              fgSimilarity += similarity;
+            } else if (tempMask[ni] === 0) {
+              bgSimilarity += similarity;
+            }
+          }
+        }
+        
+        if (fgSimilarity > bgSimilarity) {
+          mask[i] = 3; // Foreground
+        } else {
+          mask[i] = 0; // Background
+        }
+      }
+    }
+  }
+}
+
+// Fix hinted pixels as definite foreground or background
+function applyHintsToMask(mask, hints) {
+  for (let i = 0; i < mask.length; i++) {
+    if (hints[i] === HINT_KEEP) {
+      mask[i] = 3; // Definite foreground
+    } else if (hints[i] === HINT_DISCARD) {
+      mask[i] = 0; // Definite background
+    }
+  }
+}
+
+// Force hinted pixels fully opaque or transparent in a finished alpha mask.
+// Used for every engine, so hints hold whichever one produced the mask.
+export function applyHintsToAlpha(alpha, hints) {
+  for (let i = 0; i < alpha.length; i++) {
+    if (hints[i] === HINT_KEEP) {
+      alpha[i] = 255;
+    } else if (hints[i] === HINT_DISCARD) {
+      alpha[i] = 0;
+    }
+  }
+}
+
+// Convert the segmentation into an alpha mask
+function applyMaskToAlpha(mask, alpha, width, height) {
+  const totalPixels = width * height;
+  
+  for (let i = 0; i < totalPixels; i++) {
+    alpha[i] = mask[i] === 0 ? 0 : 255; // Background becomes transparent
+  }
+}
+
+// Post-process the alpha mask for clean edges
+export function postProcessResult(alpha, width, height, params = DEFAULT_PARAMS) {
+  const totalPixels = width * height;
+  
+  // Create a binary mask of transparent pixels
+  const transparentMask = new Uint8Array(totalPixels);
+  for (let i = 0; i < totalPixels; i++) {
+    transparentMask[i] = alpha[i] === 0 ? 1 : 0;
+  }
+  
+  // Remove small transparent and opaque regions
+  removeSmallRegions(transparentMask, alpha, width, height, params);
+  
+  // Smooth edges
+  smoothEdges(alpha, width, height);
+}
+
+// Remove small regions for cleaner result
+function removeSmallRegions(transparentMask, alpha, width, height, params) {
+  const totalPixels = width * height;
+  const visited = new Uint8Array(totalPixels);
+  
+  // Find and process small transparent regions
+  for (let i = 0; i < totalPixels; i++) {
+    if (visited[i]) continue;
+    
+    const isTransparent = transparentMask[i] === 1;
+    
+    // Find connected region
+    const region = [];
+    const queue = [i];
+    visited[i] = 1;
+    
+    let touchesEdge = false;
+    
+    // Read the queue by index; shift() would make the fill quadratic
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      region.push(current);
+      
+      const x = current % width;
+      const y = Math.floor(current / width);
+      
+      // Check if region touches the edge
+      if (x === 0 || x === width - 1 || y === 0 || y === height - 1) {
+        touchesEdge = true;
+      }
+      
+      // Check 4-connected neighbors
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = x + dx;
+        const ny = y + dy;
+        
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        
+        const ni = ny * width + nx;
+        
+        if (!visited[ni] && transparentMask[ni] === (isTransparent ? 1 : 0)) {
+          visited[ni] = 1;
+          queue.push(ni);
+        }
+      }
+    }
+    
+    // Process small regions
+    const threshold = isTransparent ? params.minTransparentRegion : params.minOpaqueRegion;
+    
+    if (!touchesEdge && region.length < threshold) {
+      for (const idx of region) {
+        if (isTransparent) {
+          // Small transparent region -> make opaque
+          alpha[idx] = 255;
+        } else {
+          // Small opaque region -> make transparent
+          alpha[idx] = 0;
+        }
+      }
+    }
+  }
+}
+
+// Smooth edges for a more natural look
+function smoothEdges(alpha, width, height) {
+  // Copy alpha channel
+  const tempAlpha = new Uint8Array(alpha);
+  
+  // Apply box blur to alpha channel at edges
+  const radius = 1;
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      
+      // Only process edge pixels
+      let isEdge = false;
+      
+      // Check if this pixel is at the edge of transparency
+      for (let dy = -1; dy <= 1 && !isEdge; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          
+          const nx = x + dx;
+          const ny = y + dy;
+          
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+          
+          const ni = ny * width + nx;
+          
+          // If neighbor has different transparency, this is an edge
+          if ((tempAlpha[i] === 0 && tempAlpha[ni] > 0) || 
+              (tempAlpha[i] > 0 && tempAlpha[ni] === 0)) {
+            isEdge = true;
+            break;
+          }
+        }
+      }
+      
+      // If not an edge pixel, skip
+      if (!isEdge) continue;
+      
+      // Apply blur to edge pixel
+      let sum = 0;
+      let count = 0;
+      
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+          
+          const ni = ny * width + nx;
+          sum += tempAlpha[ni];
+          count++;
+        }
+      }
+      
+      // Update alpha with blurred value
+      alpha[i] = Math.round(sum / count);
+    }
+  }
+}
+
@@ -0,0 +1,70 @@
+// Main-thread side of the segmentation worker
+import { createWorkerClient, cloneImageData } from './workerClient.js';
+
+function createSegmentationWorker() {
+  return new Worker(new URL('./segmentationWorker.js', import.meta.url), { type: 'module' });
+}
+
+const client = createWorkerClient(createSegmentationWorker);
+
+// Previews get their own worker, so cancelling one never stops a real job
+const previewClient = createWorkerClient(createSegmentationWorker);
+
+// Segment an image in the worker. Resolves with the alpha mask.
+// Options:
+//   hints - optional keep/discard hint map to seed the segmentation
+//   params - pipeline thresholds (see DEFAULT_PARAMS in segmentation.js)
+//   colorSpace - id of the colour space to compare colours in
+//   onProgress(stage, fraction) - called as the pipeline advances
+//   signal - an AbortSignal; aborting rejects with an AbortError
+export function segmentImage(imageData, { hints = null, params = {}, colorSpace = 'rgb', onProgress, signal } = {}) {
+  const jobData = cloneImageData(imageData);
+
+  return client.run({ imageData: jobData, hints, params, colorSpace }, [jobData.data.buffer], { onProgress, signal })
+    .then(reply => reply.mask);
+}
+
+// Segment a (small) preview image in the preview worker. Takes the same
+// options as segmentImage().
+export function segmentPreview(imageData, { hints = null, params = {}, colorSpace = 'rgb', signal } = {}) {
+  const jobData = cloneImageData(imageData);
+
+  return previewClient.run({ imageData: jobData, hints, params, colorSpace }, [jobData.data.buffer], { signal })
+    .then(reply => reply.mask);
+}
+
+// Segment the subject inside a box with GrabCut in the worker. Resolves with
+// the alpha mask.
+// Options:
+//   rect - the box ({ x, y, width, height }) in image pixels
+//   hints - optional keep/discard hint map; hinted pixels are fixed
+//   iterations - number of model-fit / graph-cut rounds
+//   onProgress, signal - as for segmentImage()
+export function grabCutImage(imageData, { rect, hints = null, iterations = 5, onProgress, signal } = {}) {
+  const jobData = cloneImageData(imageData);
+
+  return client.run(
+    { mode: 'grabcut', imageData: jobData, hints, rect, iterations },
+    [jobData.data.buffer],
+    { onProgress, signal }
+  )
+    .then(reply => reply.mask);
+}
+
+// Estimate soft alpha along the edges of an existing mask in the worker.
+// Resolves with the refined mask.
+// Options:
+//   region - optional map of user-marked pixels to refine; without it a band
+//            around the whole edge is refined
+//   bandWidth - width of that band in pixels
+//   onProgress, signal - as for segmentImage()
+export function refineEdgesImage(imageData, mask, { region = null, bandWidth = 6, onProgress, signal } = {}) {
+  const jobData = cloneImageData(imageData);
+
+  return client.run(
+    { mode: 'refine', imageData: jobData, mask, region, bandWidth },
+    [jobData.data.buffer],
+    { onProgress, signal }
+  )
+    .then(reply => reply.mask);
+}
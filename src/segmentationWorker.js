@@ -0,0 +1,35 @@
+// Segmentation worker
+//
+// Runs background removal off the main thread. Receives one of
+//   { id, imageData, hints, params, colorSpace } for the automatic pipeline,
+//   { id, mode: 'grabcut', imageData, hints, rect, iterations } for a GrabCut
+//     box selection,
+//   { id, mode: 'refine', imageData, mask, region, bandWidth } for soft edge
+//     matting of an existing mask
+// (the pixel buffer transferred, not copied), and posts back progress
+// messages followed by a single result or error message.
+import { removeBackgroundPro } from './segmentation.js';
+import { grabCut } from './grabcut.js';
+import { refineAlpha } from './matting.js';
+
+self.onmessage = function(event) {
+  const { id, mode, imageData, hints, params, colorSpace, rect, iterations, mask, region, bandWidth } = event.data;
+  const onProgress = (stage, progress) => {
+    self.postMessage({ id, type: 'progress', stage, progress });
+  };
+
+  try {
+    let result;
+    if (mode === 'grabcut') {
+      result = grabCut(imageData, { rect, hints, iterations, onProgress });
+    } else if (mode === 'refine') {
+      result = refineAlpha(imageData, mask, { bandWidth, region, onProgress });
+    } else {
+      result = removeBackgroundPro(imageData, imageData.width, imageData.height, { hints, params, colorSpace, onProgress });
+    }
+
+    self.postMessage({ id, type: 'result', mask: result }, [result.buffer]);
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,237 @@
+// Selection tools
+//
+// A selection is a 0-255 map with one value per image pixel, like a mask.
+// The magic wand flood-fills similar colours from a seed pixel; the magnetic
+// lasso ("livewire", Mortensen and Barrett 1995) follows the cheapest path
+// between anchor points over a cost map that is low along strong edges.
+import { getColorSpace } from './colorSpace.js';
+
+// Converted colours per source image and colour space, so repeated wand
+// clicks on the same image skip the conversion
+const colorCache = new WeakMap();
+
+// Select the pixels connected to (x, y) whose colour is within `tolerance`
+// of the seed's (in RGB-equivalent units of the given colour space)
+export function magicWandSelect(imageData, x, y, tolerance, colorSpace = 'rgb') {
+  const { width, height } = imageData;
+  const totalPixels = width * height;
+  const space = getColorSpace(colorSpace);
+  const colors = getColors(imageData, space);
+  const selection = new Uint8ClampedArray(totalPixels);
+
+  const seed = y * width + x;
+  const queue = [seed];
+  selection[seed] = 255;
+
+  // Breadth-first fill, reading the queue by index as fillHoles() does
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    const cx = current % width;
+    const cy = Math.floor(current / width);
+
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const nx = cx + dx;
+      const ny = cy + dy;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+      const ni = ny * width + nx;
+      if (selection[ni]) continue;
+
+      if (space.distance(colors, seed * 3, colors, ni * 3) <= tolerance) {
+        selection[ni] = 255;
+        queue.push(ni);
+      }
+    }
+  }
+
+  return selection;
+}
+
+function getColors(imageData, space) {
+  let cached = colorCache.get(imageData);
+  if (!cached || cached.space !== space) {
+    cached = { space, colors: space.convert(imageData.data, imageData.width * imageData.height) };
+    colorCache.set(imageData, cached);
+  }
+  return cached.colors;
+}
+
+// Combine two selections: 'add' keeps pixels in either, 'subtract' removes
+// the second from the first
+export function combineSelections(base, other, mode) {
+  const result = new Uint8ClampedArray(base.length);
+  for (let i = 0; i < base.length; i++) {
+    result[i] = mode === 'subtract' ? Math.min(base[i], 255 - other[i]) : Math.max(base[i], other[i]);
+  }
+  return result;
+}
+
+// Swap selected and unselected pixels
+export function invertSelection(selection) {
+  const result = new Uint8ClampedArray(selection.length);
+  for (let i = 0; i < selection.length; i++) {
+    result[i] = 255 - selection[i];
+  }
+  return result;
+}
+
+// Build the lasso's cost map: Sobel gradient magnitude of the luminance,
+// turned into a cost that is low on strong edges. Returned at a reduced
+// working size (`scale` maps image pixels to cost-map pixels).
+export function createEdgeCostMap(imageData, maxSize = 1024) {
+  const { width, height, data } = imageData;
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const mapWidth = Math.max(1, Math.round(width * scale));
+  const mapHeight = Math.max(1, Math.round(height * scale));
+
+  // Luminance sampled at the working size
+  const luminance = new Float32Array(mapWidth * mapHeight);
+  for (let y = 0; y < mapHeight; y++) {
+    const sy = Math.min(height - 1, Math.floor(y / scale));
+    for (let x = 0; x < mapWidth; x++) {
+      const sx = Math.min(width - 1, Math.floor(x / scale));
+      const idx = (sy * width + sx) * 4;
+      luminance[y * mapWidth + x] = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+    }
+  }
+
+  const gradient = new Float32Array(mapWidth * mapHeight);
+  let maxGradient = 0;
+  for (let y = 1; y < mapHeight - 1; y++) {
+    for (let x = 1; x < mapWidth - 1; x++) {
+      const i = y * mapWidth + x;
+      const gx =
+        luminance[i - mapWidth + 1] + 2 * luminance[i + 1] + luminance[i + mapWidth + 1] -
+        luminance[i - mapWidth - 1] - 2 * luminance[i - 1] - luminance[i + mapWidth - 1];
+      const gy =
+        luminance[i + mapWidth - 1] + 2 * luminance[i + mapWidth] + luminance[i + mapWidth + 1] -
+        luminance[i - mapWidth - 1] - 2 * luminance[i - mapWidth] - luminance[i - mapWidth + 1];
+      gradient[i] = Math.sqrt(gx * gx + gy * gy);
+      maxGradient = Math.max(maxGradient, gradient[i]);
+    }
+  }
+
+  // A small base cost keeps paths short across flat areas
+  const cost = new Float32Array(mapWidth * mapHeight);
+  for (let i = 0; i < cost.length; i++) {
+    cost[i] = 0.05 + (maxGradient > 0 ? 1 - gradient[i] / maxGradient : 1);
+  }
+
+  return { cost, width: mapWidth, height: mapHeight, scale };
+}
+
+// Cheapest 8-connected path between two cost-map points, searched within
+// their bounding box grown by `margin`. Returns [x, y] points from `from`
+// to `to`.
+export function findEdgePath(costMap, from, to, margin = 40) {
+  const { cost, width, height } = costMap;
+  const left = Math.max(0, Math.min(from[0], to[0]) - margin);
+  const top = Math.max(0, Math.min(from[1], to[1]) - margin);
+  const right = Math.min(width - 1, Math.max(from[0], to[0]) + margin);
+  const bottom = Math.min(height - 1, Math.max(from[1], to[1]) + margin);
+  const boxWidth = right - left + 1;
+  const boxHeight = bottom - top + 1;
+
+  const distance = new Float64Array(boxWidth * boxHeight).fill(Infinity);
+  const previous = new Int32Array(boxWidth * boxHeight).fill(-1);
+  const done = new Uint8Array(boxWidth * boxHeight);
+  const heap = createHeap();
+
+  const toLocal = ([x, y]) => (y - top) * boxWidth + (x - left);
+  const start = toLocal(from);
+  const goal = toLocal(to);
+  distance[start] = 0;
+  heap.push(start, 0);
+
+  // Dijkstra's algorithm
+  while (heap.size() > 0) {
+    const current = heap.pop();
+    if (done[current]) continue;
+    done[current] = 1;
+    if (current === goal) break;
+
+    const cx = current % boxWidth;
+    const cy = Math.floor(current / boxWidth);
+
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+
+        const nx = cx + dx;
+        const ny = cy + dy;
+        if (nx < 0 || nx >= boxWidth || ny < 0 || ny >= boxHeight) continue;
+
+        const next = ny * boxWidth + nx;
+        if (done[next]) continue;
+
+        const step = (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1) * cost[(ny + top) * width + nx + left];
+        const candidate = distance[current] + step;
+        if (candidate < distance[next]) {
+          distance[next] = candidate;
+          previous[next] = current;
+          heap.push(next, candidate);
+        }
+      }
+    }
+  }
+
+  const path = [];
+  for (let node = goal; node !== -1; node = previous[node]) {
+    path.push([node % boxWidth + left, Math.floor(node / boxWidth) + top]);
+    if (node === start) break;
+  }
+  return path.reverse();
+}
+
+// Binary min-heap of node ids keyed by priority
+function createHeap() {
+  const nodes = [];
+  const priorities = [];
+
+  function swap(a, b) {
+    [nodes[a], nodes[b]] = [nodes[b], nodes[a]];
+    [priorities[a], priorities[b]] = [priorities[b], priorities[a]];
+  }
+
+  return {
+    size: () => nodes.length,
+
+    push(node, priority) {
+      nodes.push(node);
+      priorities.push(priority);
+
+      let i = nodes.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (priorities[parent] <= priorities[i]) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+
+    pop() {
+      const top = nodes[0];
+      const lastNode = nodes.pop();
+      const lastPriority = priorities.pop();
+
+      if (nodes.length > 0) {
+        nodes[0] = lastNode;
+        priorities[0] = lastPriority;
+
+        let i = 0;
+        while (true) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < nodes.length && priorities[left] < priorities[smallest]) smallest = left;
+          if (right < nodes.length && priorities[right] < priorities[smallest]) smallest = right;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+
+      return top;
+    }
+  };
+}
@@ -0,0 +1,132 @@
+// User settings, persisted in localStorage
+//
+// Settings are a plain nested object. Form controls in the settings panel are
+// bound to it through `data-setting="group.key"` attributes.
+
+import { DEFAULT_PARAMS } from './segmentation.js';
+
+const STORAGE_KEY = 'bg-removal-settings';
+
+export const DEFAULT_SETTINGS = {
+  engine: 'local',
+  fallbackToLocal: true,
+  remote: {
+    endpoint: 'https://api.remove.bg/v1.0/removebg',
+    apiKey: '',
+    rememberKey: false
+  },
+  onnx: {
+    model: 'u2netp',
+    modelUrl: '/models/u2netp.onnx'
+  },
+  grabcut: {
+    iterations: 5
+  },
+  // Size in preview pixels; hardness and opacity in percent
+  brush: {
+    size: 20,
+    hardness: 100,
+    opacity: 100
+  },
+  matting: {
+    bandWidth: 6
+  },
+  // Magic wand colour tolerance, in RGB-equivalent distance units
+  selection: {
+    tolerance: 32
+  },
+  // Download format; quality (percent) applies to lossy formats and the matte
+  // colour to formats without transparency. `size` is a key of SIZE_PRESETS,
+  // with `width` and `height` for 'custom'; margin and maxFill are percentages.
+  // File and folder names are templates using {name}, {index}, {date} and
+  // {preset}; folders only apply inside ZIP downloads.
+  export: {
+    format: 'png',
+    quality: 90,
+    matte: '#ffffff',
+    size: 'original',
+    width: 1000,
+    height: 1000,
+    margin: 5,
+    align: 'center',
+    maxFill: 100,
+    nameTemplate: 'edited_{name}',
+    folderTemplate: ''
+  },
+  // How the editor shows transparency: 'checkerboard', 'solid', 'mask' or
+  // 'quickmask', with the colour used by 'solid'
+  view: {
+    mode: 'checkerboard',
+    color: '#ffffff'
+  },
+  // Steps of the Process All recipe. Each step uses the current settings of
+  // its tool; `size` is the export size for the download at the end, or ''
+  // to use the one in the export settings.
+  batch: {
+    removeBackground: true,
+    defringe: false,
+    background: false,
+    shadow: false,
+    size: '',
+    download: false
+  },
+  // Colour space the local engine compares colours in
+  colorSpace: 'rgb',
+  // Thresholds of the local engine; `preset` is 'custom' once edited by hand
+  removal: {
+    preset: 'balanced',
+    ...DEFAULT_PARAMS
+  }
+};
+
+// Load saved settings on top of the defaults
+export function loadSettings() {
+  const settings = structuredClone(DEFAULT_SETTINGS);
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved) mergeSettings(settings, saved);
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+  }
+
+  return settings;
+}
+
+// Persist settings. The API key is only written when the user asked for it.
+export function saveSettings(settings) {
+  const stored = structuredClone(settings);
+  if (!stored.remote.rememberKey) stored.remote.apiKey = '';
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+  }
+}
+
+// Read a value by dotted path, e.g. 'remote.endpoint'
+export function getSetting(settings, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), settings);
+}
+
+// Write a value by dotted path
+export function setSetting(settings, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => obj[key], settings);
+  parent[last] = value;
+}
+
+// Copy saved values that still exist in the defaults, ignoring stale keys
+function mergeSettings(target, source) {
+  for (const key of Object.keys(target)) {
+    if (!(key in source)) continue;
+
+    if (target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      mergeSettings(target[key], source[key] || {});
+    } else if (typeof source[key] === typeof target[key]) {
+      target[key] = source[key];
+    }
+  }
+}
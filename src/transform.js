@@ -0,0 +1,62 @@
+// Crop, rotate and flip
+//
+// Applies a crop described by Cropper.js's getData() to an image and to the
+// per-pixel maps that belong to it (mask, hints), so they stay aligned. The
+// crop box is given in the coordinates of the rotated image's bounding box,
+// which is how Cropper's own getCroppedCanvas() reads it.
+import { createCanvas } from './compositor.js';
+
+// Aspect ratios offered by the crop tool; 'original' keeps the image's own
+export const ASPECT_RATIOS = {
+  free: { label: 'Free', ratio: NaN },
+  original: { label: 'Original' },
+  '1:1': { label: '1:1', ratio: 1 },
+  '4:5': { label: '4:5', ratio: 4 / 5 },
+  '3:2': { label: '3:2', ratio: 3 / 2 },
+  '4:3': { label: '4:3', ratio: 4 / 3 },
+  '16:9': { label: '16:9', ratio: 16 / 9 }
+};
+
+// Draw `source` (an image or canvas) rotated by `rotate` degrees, flipped by
+// negative `scaleX`/`scaleY` and cropped to x, y, width, height. Areas of the
+// crop outside the rotated image are left transparent.
+export function transformImage(source, { x, y, width, height, rotate = 0, scaleX = 1, scaleY = 1 }, smoothing = true) {
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const angle = rotate * Math.PI / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const rotatedWidth = sourceWidth * cos + sourceHeight * sin;
+  const rotatedHeight = sourceWidth * sin + sourceHeight * cos;
+
+  const output = createCanvas(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)));
+  const ctx = output.getContext('2d');
+  ctx.imageSmoothingEnabled = smoothing;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.translate(rotatedWidth / 2 - x, rotatedHeight / 2 - y);
+  ctx.rotate(angle);
+  ctx.scale(scaleX, scaleY);
+  ctx.drawImage(source, -sourceWidth / 2, -sourceHeight / 2);
+  return output;
+}
+
+// Transform a map with one value per pixel the same way. The values travel
+// in the alpha channel, which the canvas keeps exact. Label maps such as
+// hints pass `smoothing = false` so neighbouring labels aren't blended.
+export function transformMap(map, width, height, cropData, smoothing = true) {
+  const mapCanvas = createCanvas(width, height);
+  const ctx = mapCanvas.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+  for (let i = 0; i < map.length; i++) {
+    imageData.data[i * 4 + 3] = map[i];
+  }
+  ctx.putImageData(imageData, 0, 0);
+
+  const output = transformImage(mapCanvas, cropData, smoothing);
+  const pixels = output.getContext('2d').getImageData(0, 0, output.width, output.height).data;
+  const result = new map.constructor(output.width * output.height);
+  for (let i = 0; i < result.length; i++) {
+    result[i] = pixels[i * 4 + 3];
+  }
+  return result;
+}
@@ -0,0 +1,102 @@
+// Main-thread side of a job worker
+//
+// Jobs are posted with an id and answered with progress messages followed by
+// a single result or error message:
+//
+//   { id, type: 'progress', stage, progress }
+//   { id, type: 'result', ...payload }
+//   { id, type: 'error', message }
+//
+// Cancelling a job terminates the worker outright (the pipelines have no
+// yield points to check a flag at), and a fresh worker is started for the
+// next job. Any other job still running on the terminated worker is rejected
+// with an AbortError as well, so no promise is left waiting forever.
+
+// Create a client for workers made by `createWorker`
+export function createWorkerClient(createWorker) {
+  let worker = null;
+  let nextJobId = 1;
+  // Rejects the jobs running on the current worker, by job id
+  const pendingJobs = new Map();
+
+  function getWorker() {
+    if (!worker) worker = createWorker();
+    return worker;
+  }
+
+  // Stop the worker and reject every job that was running on it with `error`
+  function terminateWorker(error) {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+
+    const failJobs = [...pendingJobs.values()];
+    pendingJobs.clear();
+    failJobs.forEach(fail => fail(error));
+  }
+
+  // Post a job and resolve with its result message.
+  // Options:
+  //   onProgress(stage, fraction) - called as the job advances
+  //   signal - an AbortSignal; aborting rejects with an AbortError
+  function run(message, transfer = [], { onProgress, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new DOMException('Job cancelled', 'AbortError'));
+        return;
+      }
+
+      const id = nextJobId++;
+      const jobWorker = getWorker();
+
+      function cleanup() {
+        pendingJobs.delete(id);
+        jobWorker.removeEventListener('message', handleMessage);
+        jobWorker.removeEventListener('error', handleError);
+        if (signal) signal.removeEventListener('abort', handleAbort);
+      }
+
+      function handleMessage(event) {
+        const reply = event.data;
+        if (reply.id !== id) return;
+
+        if (reply.type === 'progress') {
+          if (onProgress) onProgress(reply.stage, reply.progress);
+        } else if (reply.type === 'result') {
+          cleanup();
+          resolve(reply);
+        } else if (reply.type === 'error') {
+          cleanup();
+          reject(new Error(reply.message));
+        }
+      }
+
+      function handleError(event) {
+        terminateWorker(new Error(event.message || 'Worker failed'));
+      }
+
+      function handleAbort() {
+        terminateWorker(new DOMException('Job cancelled', 'AbortError'));
+      }
+
+      pendingJobs.set(id, error => {
+        cleanup();
+        reject(error);
+      });
+      jobWorker.addEventListener('message', handleMessage);
+      jobWorker.addEventListener('error', handleError);
+      if (signal) signal.addEventListener('abort', handleAbort);
+
+      jobWorker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  return { run };
+}
+
+// Copy image data into a fresh buffer that can be transferred to a worker
+// without detaching the caller's copy
+export function cloneImageData(imageData) {
+  return new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+}
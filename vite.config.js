@@ -1,5 +1,24 @@
+import { fileURLToPath } from 'node:url';
+
 export default {
   server: {
     open: true
+  },
+  resolve: {
+    alias: {
+      // The self-contained ESM build references its .wasm file with
+      // new URL(..., import.meta.url), so the binary is emitted with the app
+      // and the model runs without fetching anything from a CDN
+      'onnxruntime-web': fileURLToPath(
+        new URL('./node_modules/onnxruntime-web/dist/ort.bundle.min.mjs', import.meta.url)
+      )
+    }
+  },
+  // Pre-bundling would move the module away from its .wasm file
+  optimizeDeps: {
+    exclude: ['onnxruntime-web']
+  },
+  worker: {
+    format: 'es'
   }
 }